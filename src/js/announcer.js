@@ -0,0 +1,84 @@
+/**
+ * Announces game events to screen reader users through ARIA live regions.
+ *
+ * Messages announced in the same moment (for example a match followed by the puzzle it solves)
+ * are joined into one announcement, so the later message does not cut off the earlier one.
+ *
+ * @param {HTMLElement} container - The element the live regions are added to.
+ * @returns {object} The announcer API.
+ */
+export function createAnnouncer(container) {
+
+    const createRegion = (politeness) => {
+
+        const region = document.createElement('div');
+        region.className = 'announcer';
+        region.setAttribute('aria-live', politeness);
+        region.setAttribute('aria-atomic', 'true');
+        region.setAttribute('role', politeness === 'assertive' ? 'alert' : 'status');
+        container.appendChild(region);
+
+        return region;
+    };
+
+    const regions = {
+        polite: createRegion('polite'),
+        assertive: createRegion('assertive')
+    };
+
+    const pending = { polite: [], assertive: [] };
+    let flushTimer = null;
+
+    const flush = () => {
+
+        flushTimer = null;
+
+        Object.entries(pending).forEach(([politeness, messages]) => {
+
+            if (messages.length === 0) return;
+
+            // Clearing first makes screen readers announce a message even if it repeats the last one.
+            regions[politeness].textContent = '';
+            const text = messages.join(' ');
+            pending[politeness] = [];
+
+            setTimeout(() => {
+
+                regions[politeness].textContent = text;
+            }, 50);
+        });
+    };
+
+    /**
+     * Queues a message for screen readers.
+     * @param {string} message - The message to announce.
+     * @param {object} [options]
+     * @param {boolean} [options.assertive=false] - Interrupt the screen reader, for important events like winning.
+     */
+    const announce = (message, { assertive = false } = {}) => {
+
+        if (!message) return;
+
+        pending[assertive ? 'assertive' : 'polite'].push(message);
+
+        if (!flushTimer) {
+
+            flushTimer = setTimeout(flush, 0);
+        }
+    };
+
+    /**
+     * Drops any queued messages and empties the live regions, e.g. when a game is quit.
+     */
+    const clear = () => {
+
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        pending.polite = [];
+        pending.assertive = [];
+        regions.polite.textContent = '';
+        regions.assertive.textContent = '';
+    };
+
+    return { announce, clear };
+}
@@ -1,10 +1,22 @@
 import { createSwiper } from './swiper.js';
-import { processGameData, buildWorldMap, isPuzzleSolved } from './puzzle-logic.js';
+import { processGameData, buildWorldMap, isPuzzleSolved, evaluatePuzzle, getMissingRequirements, getPuzzleStatus, leadsIntoLockedPuzzle } from './puzzle-logic.js';
 import { createLayoutVisualizer } from './visualiser.js';
 import { createNavigationHandler } from './navigation-handler.js';
 import { createMatchVisualizer } from './match-visualizer.js';
 import { createDragAndTapHandler } from './drag-and-tap-handler.js';
+import { createKeyboardHandler } from './keyboard-handler.js';
+import { createAnnouncer } from './announcer.js';
+import { DEFAULT_HINT_BUDGET, getHint, getHintsRemaining, useHint } from './hints.js';
+import { createMatchHistory } from './match-history.js';
+import { countMatches, hasMatch } from './player-matches.js';
+import { createGameStats, createStatsTimer, recordToggle, recordWrongSubmission, summarizeGameStats, summarizePuzzleStats, isNewPersonalBest, formatDuration } from './game-stats.js';
 import { initLeadInScreen } from './leadin-screen.js';
+import { createGameStorage } from './game-storage.js';
+import { validateGameData } from './game-schema.js';
+import { getCampaignGameStates, isCampaignGameUnlocked, getNextCampaignGame, completeCampaignGame, summarizeCampaign } from './campaign.js';
+import { createRouter } from './router.js';
+import { createSlideRenderer } from './slide-renderer.js';
+import { collectSlideCredits, formatCredit, isLinkableSource } from './credits.js';
 
 const start = () => {
 
@@ -14,8 +26,11 @@ const start = () => {
     const gameScreen = mainScreen.querySelector('.game-screen');
     const settingsScreen = mainScreen.querySelector('.settings-screen');
     const infoScreen = mainScreen.querySelector('.info-screen');
+    const creditsScreen = mainScreen.querySelector('.credits-screen');
+    const errorScreen = mainScreen.querySelector('.error-screen');
 
     const gameMenu = startScreen.querySelector('.game-menu ol');
+    const campaignMenu = startScreen.querySelector('.campaign-menu ol');
     const topNav = mainScreen.querySelector('.sub-nav.game');
     const puzzleNav = gameScreen.querySelector('.sub-nav.puzzle');
     const prevButton = puzzleNav.querySelector('.button-left');
@@ -23,6 +38,9 @@ const start = () => {
     const puzzleStatusIndicator = gameScreen.querySelector('.puzzle-status-indicator');
     const upButton = puzzleNav.querySelector('.button-up');
     const downButton = puzzleNav.querySelector('.button-down');
+    const historyControls = puzzleNav.querySelector('.history');
+    const undoButton = historyControls.querySelector('.button-undo');
+    const redoButton = historyControls.querySelector('.button-redo');
 
     // Menu Popout Elements
     const menuButton = document.querySelector('.menu-button');
@@ -33,10 +51,18 @@ const start = () => {
     const quitGameButton = menuPopout.querySelector('#button-quit');
     const infoButton = topNav.querySelector('#info-button');
     const infoPuzzleSection = infoScreen.querySelector('.info-puzzle');
+    const infoCredits = infoScreen.querySelector('.info-credits');
+    const infoCreditsButton = infoCredits.querySelector('.info-credits-button');
+    const creditsSection = creditsScreen.querySelector('.credits-content');
+    const errorMessage = errorScreen.querySelector('.error-message');
+    const errorList = errorScreen.querySelector('.error-list');
+    const errorBackButton = errorScreen.querySelector('.error-back-button');
 
     // Toaster elements
     const toaster = document.querySelector('.toaster');
     const toasterBackButton = document.querySelector('.toaster-back-button');
+    const toasterStats = toaster.querySelector('.toaster-stats');
+    const toasterNextButton = toaster.querySelector('.toaster-next-button');
 
     // --- App Settings ---
     const puzzleCompletionSelect = document.getElementById('puzzle-completion');
@@ -51,34 +77,148 @@ const start = () => {
 
     initLeadInScreen(leadInScreen);
 
+    const gameStorage = createGameStorage();
+    const announcer = createAnnouncer(document.body);
+    const statsTimer = createStatsTimer();
+    const matchHistory = createMatchHistory();
+    const router = createRouter({ onRouteChange: (route) => applyRoute(route) });
+    let availableGames = [];
+    let availableCampaigns = [];
+    // The campaign game the win toaster offers to play next.
+    let nextCampaignGame = null;
+
     // Encapsulate all game-related state into a single object.
     // This object will be replaced entirely when a new game is loaded.
     let activeGame = {
+        gameFile: null,
+        campaignId: null,
         playerState: null,
         gameState: null,
+        hintBudget: 0,
+        submitFeedback: false,
         puzzleData: [],
+        slideData: {},
         layout: {},
         slideGroups: [],
         worldMap: new Map(),
         swiperInstances: new Map()
     };
 
-    const showWinToaster = () => {
+    /**
+     * Shows the win toaster with the player's stats for the game.
+     * @param {object} summary - The game summary from `summarizeGameStats`.
+     * @param {object | null} best - The personal best before this game.
+     * @param {object | null} [nextGame=null] - The campaign game unlocked by this win.
+     */
+    const showWinToaster = (summary, best, nextGame = null) => {
+
+        const isBest = isNewPersonalBest(summary, best);
+        const rows = [
+            ['score', `${summary.score}${isBest ? ' (personal best!)' : ''}`],
+            ['time', formatDuration(summary.timeMs)],
+            ['matches made or removed', summary.toggles],
+            ['wrong submissions', summary.wrongSubmissions],
+            ['hints used', summary.hintsUsed]
+        ];
+
+        if (best && !isBest) {
+
+            rows.push(['personal best', `${best.score} in ${formatDuration(best.timeMs)}`]);
+        }
+
+        toasterStats.innerHTML = rows.map(([term, value]) => `<dt>${term}</dt><dd>${value}</dd>`).join('');
+        nextCampaignGame = nextGame;
+        toasterNextButton.style.display = nextGame ? 'block' : 'none';
+        toasterNextButton.textContent = nextGame ? `next: ${nextGame.title}` : '';
         toaster.classList.add('is-visible');
         gameScreen.classList.add('disabled'); // Disable game interaction
+        announcer.announce(`All puzzles solved. You won the game with a score of ${summary.score}${isBest ? ', a personal best' : ''}!${nextGame ? ` ${nextGame.title} is unlocked.` : ''}`, { assertive: true });
+    };
+
+    /**
+     * Shows the error screen with a player-facing message and optional details.
+     * @param {string} message - The message to show the player.
+     * @param {Array<{path: string, message: string}>} [errors=[]] - Validation errors to list.
+     */
+    const showErrorScreen = (message, errors = []) => {
+
+        errorMessage.textContent = message;
+        errorList.innerHTML = '';
+
+        errors.forEach(error => {
+
+            const li = document.createElement('li');
+            const path = document.createElement('code');
+            path.textContent = error.path;
+            li.appendChild(path);
+            li.append(` ${error.message}`);
+            errorList.appendChild(li);
+        });
+
+        puzzleNav.style.display = 'none';
+        // The URL keeps pointing at what failed to load, so reloading the page tries again.
+        navigateTo(errorScreen, { updateHistory: false });
+    };
+
+    /**
+     * Saves the progress of the active game so it can be resumed later.
+     */
+    const persistGameProgress = (game = activeGame) => {
+
+        // Save the time played up to now.
+        statsTimer.flush();
+        gameStorage.saveProgress(game.gameFile, game, game.campaignId);
     };
 
-    async function loadGame(url) {
+    /**
+     * Fetches and starts a game.
+     * @param {string} url - The game file to load.
+     * @param {object} [options]
+     * @param {boolean} [options.resume=true] - Restore saved progress if there is any. When false, saved progress is discarded.
+     * @param {string | null} [options.campaignId=null] - The campaign the game is played in, if any.
+     * @returns {Promise<boolean>} True if the game was started.
+     */
+    async function loadGame(url, { resume = true, campaignId = null } = {}) {
         try {
             const response = await fetch(url);
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
             const gameData = await response.json();
+            const validation = validateGameData(gameData);
+
+            if (!validation.valid) {
+
+                console.error(`Game file ${url} is invalid:`, validation.errors);
+                showErrorScreen('This game file contains errors and cannot be played.', validation.errors);
+
+                return false;
+            }
+
+            if (!resume) {
+
+                gameStorage.clearProgress(url, campaignId);
+            }
+
+            const savedProgress = resume ? gameStorage.loadProgress(url, campaignId) : null;
+
             // Initialize the game and receive the new state, then update the activeGame.
-            activeGame = initializeGame(gameData);
+            activeGame = initializeGame(gameData, savedProgress);
+            activeGame.gameFile = url;
+            activeGame.campaignId = campaignId;
+            persistGameProgress();
+            syncStatsTimer();
+            // The initial snaps ran before the new game became active, so sync its ARIA state now.
+            matchVisualizer.synchronizeAccessibility();
+            announcer.announce(`${gameData.gametitle}. ${describeLocation(getLocationSlideIds())}`);
+            router.replace(getCurrentRoute());
+
+            return true;
         } catch (error) {
             console.error("Could not load game:", error);
+            showErrorScreen('This game could not be loaded. Please try again later.');
+
+            return false;
         }
     }
 
@@ -96,6 +236,81 @@ const start = () => {
         return game.puzzleData.find(p => p.id === currentSlot.activates_puzzle_id) || null;
     };
 
+    const getSlideName = (slideId, game = activeGame) => game.slideData?.[slideId]?.name || slideId;
+
+    /**
+     * Checks if a puzzle still waits for other puzzles to be solved.
+     * @param {string | null} puzzleId - The puzzle to check.
+     * @returns {boolean}
+     */
+    const isPuzzleLocked = (puzzleId, game = activeGame) => {
+
+        const puzzle = puzzleId ? game.puzzleData.find(p => p.id === puzzleId) : null;
+
+        return !!puzzle && getPuzzleStatus(puzzle, game.gameState.solvedPuzzles) === 'locked';
+    };
+
+    /**
+     * Gets the titles of the puzzles that must still be solved before a puzzle unlocks.
+     * @param {object} puzzle - The processed puzzle object.
+     * @returns {Array<string>}
+     */
+    const getMissingPuzzleTitles = (puzzle, game = activeGame) => getMissingRequirements(puzzle, game.gameState.solvedPuzzles)
+        .map(id => game.puzzleData.find(p => p.id === id)?.puzzletitle || id);
+
+    /**
+     * Tells the player which puzzles to solve before a locked puzzle can be played.
+     * @param {string} puzzleId - The locked puzzle.
+     */
+    const announceLockedPuzzle = (puzzleId, game = activeGame) => {
+
+        const puzzle = game.puzzleData.find(p => p.id === puzzleId);
+
+        if (!puzzle) return;
+
+        announcer.announce(`Puzzle ${puzzle.puzzletitle} is locked. Solve ${getMissingPuzzleTitles(puzzle, game).join(', ')} first.`);
+    };
+
+    /**
+     * Gets the host and guest slides at the player's location from the player state.
+     * @returns {{hostSlideId: string | undefined, guestSlideId: string | null}}
+     */
+    const getLocationSlideIds = (game = activeGame) => {
+
+        const slideIdAt = (sliderId, index) => game.slideGroups.find(g => g.group_id === sliderId)?.slides[index]?.id;
+        const currentNode = game.worldMap.get(`${game.playerState.currentSliderId}-${game.playerState.currentIndex}`);
+
+        return {
+            hostSlideId: slideIdAt(game.playerState.currentSliderId, game.playerState.currentIndex),
+            guestSlideId: currentNode?.guest ? slideIdAt(currentNode.guest.sliderId, currentNode.guest.index) : null
+        };
+    };
+
+    /**
+     * Describes the slides in view, and the puzzle they belong to, for screen reader announcements.
+     * @param {{hostSlideId: string, guestSlideId: string | null}} slides - The slides in view.
+     * @returns {string} The description.
+     */
+    const describeLocation = ({ hostSlideId, guestSlideId }, game = activeGame) => {
+
+        const hostName = getSlideName(hostSlideId, game);
+
+        if (!guestSlideId) return `${hostName}.`;
+
+        const activePuzzle = getActivePuzzleForCurrentLocation(game);
+        const puzzleMatches = activePuzzle ? game.gameState.playerMatchesByPuzzle.get(activePuzzle.id) : null;
+        const isMatched = hasMatch(puzzleMatches, hostSlideId, guestSlideId);
+        const description = `${hostName} and ${getSlideName(guestSlideId, game)}, ${isMatched ? 'matched' : 'not matched'}.`;
+
+        if (!activePuzzle) return description;
+
+        const status = { solved: ' (solved)', locked: ' (locked)', unlocked: '' }[getPuzzleStatus(activePuzzle, game.gameState.solvedPuzzles)];
+
+        return `Puzzle ${activePuzzle.puzzletitle}${status}: ${description}`;
+    };
+
+    const slideRenderer = createSlideRenderer();
+
     // --- Centralized Visualizer ---
     const matchVisualizer = createMatchVisualizer({
         getGame: () => activeGame,
@@ -120,6 +335,8 @@ const start = () => {
             // A swiper is visible only if it is the current host or the current guest.
             const isVisible = (swiper === hostSwiper) || (swiper === guestSwiper);
             swiper.getElement().classList.toggle('visually-hidden', !isVisible);
+            // Hidden swipers are only transparent, so they must also be hidden from screen readers.
+            swiper.getElement().toggleAttribute('aria-hidden', !isVisible);
         });
     };
 
@@ -184,10 +401,21 @@ const start = () => {
         const otherNodeKey = guestInfo ? `${guestInfo.sliderId}-${guestInfo.index}` : (currentNode.isConnection && (currentNode.up || currentNode.left)) ? `${(currentNode.up || currentNode.left).sliderId}-${(currentNode.up || currentNode.left).index}` : null; // prettier-ignore
         const otherNode = otherNodeKey ? game.worldMap.get(otherNodeKey) : null;
 
-        prevButton.disabled = !(currentNode.left || (otherNode && otherNode.left));
-        nextButton.disabled = !(currentNode.right || (otherNode && otherNode.right));
-        upButton.disabled = !(currentNode.up || (otherNode && otherNode.up));
-        downButton.disabled = !(currentNode.down || (otherNode && otherNode.down));
+        // The guest slider of a locked puzzle cannot be entered, so its moves do not count either.
+        const isGuestLocked = !!guestInfo && isPuzzleLocked(currentNode.puzzleId, game);
+        const canMove = (navKey) => (!!currentNode[navKey] && !leadsIntoLockedPuzzle(currentNode, currentNode[navKey], id => isPuzzleLocked(id, game))) ||
+            (!isGuestLocked && !!(otherNode && otherNode[navKey]));
+
+        prevButton.disabled = !canMove('left');
+        nextButton.disabled = !canMove('right');
+        upButton.disabled = !canMove('up');
+        downButton.disabled = !canMove('down');
+
+        // A focused button that becomes disabled drops focus to the body; keep it on the game instead.
+        if (document.activeElement && document.activeElement.disabled) {
+
+            gameScreen.focus({ preventScroll: true });
+        }
     };
 
     /**
@@ -226,6 +454,15 @@ const start = () => {
         // These are needed for both jumps and simple swipes/navs.
         updateNavigationControls();
         updatePuzzleStatusIndicator();
+        updateHistoryControls();
+        persistGameProgress();
+        syncStatsTimer();
+        announcer.announce(describeLocation(getLocationSlideIds()));
+
+        if (activeScreen === gameScreen) {
+
+            router.replace(getCurrentRoute());
+        }
     };
 
     /**
@@ -233,12 +470,43 @@ const start = () => {
      */
     function cleanupPreviousGame() {
 
+        matchVisualizer.clearFeedback();
+
         const existingSliderLists = gameScreen.querySelectorAll('ol.slider-horizontal, ol.slider-vertical');
         existingSliderLists.forEach(list => list.remove());
+        activeGame.swiperInstances.forEach(swiper => swiper.destroy());
         activeGame.swiperInstances.clear();
         activeGame.worldMap.clear();
     }
 
+    /**
+     * Renders a slide into a list element of a swiper.
+     * @param {HTMLElement} element - The list element, which may have shown another slide before.
+     * @param {object} slide - The slide.
+     * @param {number} index - The index of the slide in its group.
+     * @param {number} count - The number of slides in the group.
+     */
+    function renderSlide(element, slide, index, count) {
+
+        element.setAttribute('role', 'option');
+        element.setAttribute('aria-selected', 'false');
+        element.setAttribute('aria-label', slide.name);
+        // Only part of the group is in the DOM, so each option says where it is in the whole group.
+        element.setAttribute('aria-posinset', String(index + 1));
+        element.setAttribute('aria-setsize', String(count));
+        element.dataset.slideId = slide.id;
+
+        let container = element.querySelector(':scope > .slide');
+
+        if (!container) {
+
+            container = document.createElement('div');
+            element.replaceChildren(container);
+        }
+
+        slideRenderer.render(container, slide);
+    }
+
     /**
      * Creates and initializes all swiper instances based on the game layout.
      * @param {object} newGame - The new game state object.
@@ -253,6 +521,12 @@ const start = () => {
             listElement.classList.add(listSelector);
             const slideGroup = newGame.slideGroups.find(g => g.group_id === sliderConfig.populates_from_group);
             listElement.classList.add('visually-hidden');
+            listElement.setAttribute('aria-hidden', '');
+
+            // Each swiper is a listbox whose current slide is the selected option.
+            listElement.setAttribute('role', 'listbox');
+            listElement.setAttribute('aria-orientation', sliderConfig.direction);
+            listElement.setAttribute('aria-label', slideGroup?.group_name || sliderConfig.id);
 
             // Add direction-specific classes immediately to ensure they are styled correctly
             // (and thus hidden by default via CSS) before being added to the DOM.
@@ -267,20 +541,35 @@ const start = () => {
 
             if (!slideGroup) return;
 
-            listElement.innerHTML = slideGroup.slides.map(slide =>
-                `<li data-slide-id="${slide.id}"><div class="slide"><img src="${slide.img}" draggable="false" alt="${slide.name}"/></div></li>`
-            ).join('');
-
             gameScreen.insertBefore(listElement, puzzleNav);
 
             const swiper = createSwiper({
                 listSelector: `.${listSelector}`,
                 direction: sliderConfig.direction,
                 id: sliderConfig.id,
+                items: slideGroup.slides,
+                renderItem: (element, slide, index) => renderSlide(element, slide, index, slideGroup.slides.length),
+                wrap: sliderConfig.wrap !== false,
                 cloneCount: 10,
                 throwMultiplier: 0.7,
             });
 
+            // Only the slides near the current one are in the DOM. Elements that are re-used for other
+            // slides come back blank, so the match visuals are drawn again.
+            swiper.on('windowChange', () => {
+
+                if (activeGame.swiperInstances.get(swiper.id) !== swiper) return;
+
+                if (gameScreen.classList.contains('is-dragging')) {
+                    // Redrawing mid-drag would undo the drag's own visuals; they are redrawn when it ends.
+                    matchVisualizer.synchronizeAccessibility();
+
+                } else {
+
+                    matchVisualizer.synchronizeVisuals();
+                }
+            });
+
             // When a swiper snaps due to a navigation action, update the application state.
             // This is the correct place for this logic, as it separates navigation from visual swipes.
             swiper.on('snapComplete', (event) => {
@@ -293,21 +582,54 @@ const start = () => {
                     // A drag is a purely visual action. It does not update the application state,
                     // but we must re-evaluate the match visuals based on the new slide positions.
                     matchVisualizer.synchronizeVisuals();
+                    announceDraggedSlides();
+
+                } else {
+                    // Programmatic snaps (jumps) only settle the swiper after the state was rendered.
+                    matchVisualizer.synchronizeAccessibility();
                 }
             });
 
+            // The slides changed size, e.g. the phone was rotated. The swiper has already snapped to its own
+            // slide; the host and guest are snapped to the player's location again so they stay aligned.
+            swiper.on('resize', () => {
+
+                if (activeGame.swiperInstances.get(swiper.id) !== swiper || gameScreen.classList.contains('is-dragging')) return;
+
+                snapSwipersToState(false);
+            });
+
             newGame.swiperInstances.set(sliderConfig.id, swiper);
         });
     }
 
+    /**
+     * Announces the slides that ended up in view after a drag.
+     */
+    const announceDraggedSlides = (game = activeGame) => {
+
+        const currentNode = game.worldMap.get(`${game.playerState.currentSliderId}-${game.playerState.currentIndex}`);
+        const hostSwiper = game.swiperInstances.get(game.playerState.currentSliderId);
+        const guestSwiper = currentNode?.guest ? game.swiperInstances.get(currentNode.guest.sliderId) : null;
+
+        if (!hostSwiper) return;
+
+        announcer.announce(describeLocation({
+            hostSlideId: hostSwiper.getCurrentSlideId(),
+            guestSlideId: guestSwiper ? guestSwiper.getCurrentSlideId() : null
+        }, game));
+    };
+
     const updatePuzzleStatusIndicator = (game = activeGame) => {
 
         const activePuzzle = getActivePuzzleForCurrentLocation(game);
-        const isSolved = activePuzzle && game.gameState.solvedPuzzles.has(activePuzzle.id);
+        const status = activePuzzle ? getPuzzleStatus(activePuzzle, game.gameState.solvedPuzzles) : null;
 
         if (puzzleStatusIndicator) {
 
-            puzzleStatusIndicator.classList.toggle('is-visible', isSolved);
+            puzzleStatusIndicator.classList.toggle('is-visible', status === 'solved' || status === 'locked');
+            puzzleStatusIndicator.classList.toggle('is-locked', status === 'locked');
+            puzzleStatusIndicator.querySelector('.puzzle-status').textContent = status === 'locked' ? 'LOCKED' : 'SOLVED';
         }
     };
 
@@ -326,16 +648,91 @@ const start = () => {
 
             game.gameState.solvedPuzzles.add(activePuzzle.id);
             updatePuzzleStatusIndicator(game);
+            // Solving a puzzle can unlock the way into others.
+            updateNavigationControls(game);
+            persistGameProgress(game);
+            // A solved puzzle's time stops counting.
+            syncStatsTimer();
+            announcer.announce(`Puzzle ${activePuzzle.puzzletitle} solved!`);
         }
     };
 
+    const isGameWon = (game = activeGame) => game.puzzleData.length > 0 && game.gameState.solvedPuzzles.size === game.puzzleData.length;
+
     const checkGameWinCondition = (game = activeGame) => {
 
-        const allPuzzles = game.puzzleData;
+        if (isGameWon(game)) {
+
+            statsTimer.stop();
+
+            const summary = summarizeGameStats(game);
+            const best = gameStorage.loadPersonalBest(game.gameFile);
 
-        if (allPuzzles.length > 0 && game.gameState.solvedPuzzles.size === allPuzzles.length) {
+            if (isNewPersonalBest(summary, best)) {
 
-            showWinToaster();
+                gameStorage.savePersonalBest(game.gameFile, summary);
+            }
+
+            // A finished game starts fresh the next time it is played.
+            gameStorage.clearProgress(game.gameFile, game.campaignId);
+            showWinToaster(summary, best, completeGameInCampaign(game));
+        }
+    };
+
+    /**
+     * Enables the undo and redo buttons when the active puzzle has changes to undo or redo.
+     * The buttons are hidden away from puzzle slots.
+     */
+    const updateHistoryControls = (game = activeGame) => {
+
+        const activePuzzle = getActivePuzzleForCurrentLocation(game);
+
+        historyControls.hidden = !activePuzzle;
+        undoButton.disabled = !activePuzzle || !matchHistory.canUndo(activePuzzle.id);
+        redoButton.disabled = !activePuzzle || !matchHistory.canRedo(activePuzzle.id);
+    };
+
+    /**
+     * Undoes or redoes the last change to the active puzzle's matches.
+     * @param {'undo' | 'redo'} direction - Which way to move through the history.
+     */
+    const stepMatchHistory = (direction) => {
+
+        const activePuzzle = getActivePuzzleForCurrentLocation();
+
+        if (!activePuzzle) return;
+
+        if (!activeGame.gameState.playerMatchesByPuzzle.has(activePuzzle.id)) {
+
+            activeGame.gameState.playerMatchesByPuzzle.set(activePuzzle.id, new Map());
+        }
+
+        const puzzleMatches = activeGame.gameState.playerMatchesByPuzzle.get(activePuzzle.id);
+        const changed = direction === 'undo'
+            ? matchHistory.undo(activePuzzle.id, puzzleMatches)
+            : matchHistory.redo(activePuzzle.id, puzzleMatches);
+
+        if (!changed) return;
+
+        matchVisualizer.clearFeedback();
+
+        // Like clearing, going back can un-solve the puzzle.
+        if (activeGame.gameState.solvedPuzzles.has(activePuzzle.id) && !isPuzzleSolved(activePuzzle, puzzleMatches)) {
+
+            activeGame.gameState.solvedPuzzles.delete(activePuzzle.id);
+        }
+
+        matchVisualizer.synchronizeVisuals();
+        updatePuzzleStatusIndicator();
+        updateHistoryControls();
+        persistGameProgress();
+        syncStatsTimer();
+        announcer.announce(`${direction === 'undo' ? 'Undone' : 'Redone'}. ${countMatches(puzzleMatches)} of ${activePuzzle.solutions.length} matches made.`);
+
+        if (settingsState.puzzleCompletion === 'game-finishes') {
+
+            checkActivePuzzleSolved();
+            checkGameWinCondition();
         }
     };
 
@@ -347,11 +744,15 @@ const start = () => {
 
         const puzzleMatches = activeGame.gameState.playerMatchesByPuzzle.get(activePuzzle.id);
 
-        if (puzzleMatches) {
+        if (puzzleMatches && puzzleMatches.size > 0) {
 
+            // Clearing can be undone like any other change.
+            matchHistory.record(activePuzzle.id, Array.from(puzzleMatches.entries()), []);
             puzzleMatches.clear();
         }
 
+        matchVisualizer.clearFeedback();
+
         // If the puzzle was marked as solved, un-solve it.
         if (activeGame.gameState.solvedPuzzles.has(activePuzzle.id)) {
 
@@ -361,6 +762,10 @@ const start = () => {
         // Update visuals to reflect the cleared matches and puzzle status.
         matchVisualizer.synchronizeVisuals();
         updatePuzzleStatusIndicator();
+        updateHistoryControls();
+        persistGameProgress();
+        syncStatsTimer();
+        announcer.announce(`Matches of puzzle ${activePuzzle.puzzletitle} cleared.`);
 
         // Re-render the info screen to update the match count display.
         renderInfoScreen();
@@ -370,27 +775,35 @@ const start = () => {
      * Processes raw game data, creates all necessary state and instances for a new game,
      * and returns it as a single encapsulated object.
      * @param {object} gameData - The raw JSON data for the game.
+     * @param {object} [savedProgress=null] - Previously saved progress to resume from.
      * @returns {object} The complete state object for the newly initialized game.
      */
-    function initializeGame(gameData) {
+    function initializeGame(gameData, savedProgress = null) {
 
         cleanupPreviousGame();
+        matchHistory.clear();
 
-        const { newPuzzleData, layout, slideGroups } = processGameData(gameData);
+        const { newPuzzleData, slideData, layout, slideGroups } = processGameData(gameData);
 
         const newGame = {
+            gameFile: null,
             playerState: {
                 currentSliderId: null,
                 currentIndex: 0
             },
             puzzleData: newPuzzleData,
+            slideData: slideData,
             layout: layout,
             slideGroups: slideGroups,
             worldMap: buildWorldMap(layout, slideGroups),
             swiperInstances: new Map(),
+            hintBudget: gameData.hint_budget ?? DEFAULT_HINT_BUDGET,
+            submitFeedback: gameData.submit_feedback !== false,
             gameState: {
                 playerMatchesByPuzzle: new Map(),
                 solvedPuzzles: new Set(),
+                hintsUsed: [],
+                stats: createGameStats()
             }
         };
 
@@ -430,53 +843,240 @@ const start = () => {
             }
         }
 
+        if (savedProgress) {
+
+            restoreSavedProgress(newGame, savedProgress);
+        }
+
         // Perform the initial render using the targeted functions.
         // This replaces the final call to the old renderFromState.
         updateSwiperVisibility(newGame);
         snapSwipersToState(false, newGame);
         updateNavigationControls(newGame);
         updatePuzzleStatusIndicator(newGame);
+        updateHistoryControls(newGame);
 
         // Return the fully constructed state object for the new game.
         return newGame;
     }
 
-    async function initializeStartScreen() {
+    /**
+     * Applies saved progress to a freshly initialized game.
+     * The saved location is only used if it still exists in the game's world map.
+     * @param {object} newGame - The new game state object.
+     * @param {object} savedProgress - The progress restored from storage.
+     */
+    function restoreSavedProgress(newGame, savedProgress) {
 
-        try {
+        const puzzleIds = new Set(newGame.puzzleData.map(p => p.id));
+        const { playerMatchesByPuzzle, solvedPuzzles, hintsUsed, stats } = savedProgress.gameState;
 
-            const response = await fetch('games/games.json');
+        // Drop progress for puzzles that no longer exist in the game file.
+        playerMatchesByPuzzle.forEach((_, puzzleId) => {
 
-            if (!response.ok) {
+            if (!puzzleIds.has(puzzleId)) playerMatchesByPuzzle.delete(puzzleId);
+        });
 
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+        newGame.gameState.playerMatchesByPuzzle = playerMatchesByPuzzle;
+        newGame.gameState.solvedPuzzles = new Set([...solvedPuzzles].filter(id => puzzleIds.has(id)));
+        // Hints stay spent even if their puzzle was removed, so the budget cannot be reset by editing the game.
+        newGame.gameState.hintsUsed = hintsUsed;
+        newGame.gameState.stats = stats;
+
+        const { currentSliderId, currentIndex } = savedProgress.playerState || {};
+
+        if (newGame.worldMap.has(`${currentSliderId}-${currentIndex}`)) {
+
+            newGame.playerState.currentSliderId = currentSliderId;
+            newGame.playerState.currentIndex = currentIndex;
+        }
+    }
+
+    /**
+     * Navigates to the game screen and loads the given game.
+     * @param {string} gameFile - The game file to play.
+     * @param {boolean} [resume=true] - Continue from saved progress instead of restarting.
+     * @param {string | null} [campaignId=null] - The campaign the game is played in, if any.
+     */
+    const startGame = (gameFile, resume = true, campaignId = null) => {
+
+        router.push({ screen: 'game', game: gameFile, campaign: campaignId });
+        navigateTo(gameScreen, { updateHistory: false });
+        menuPopout.style.display = 'none';
+        loadGame(gameFile, { resume, campaignId });
+    };
+
+    /**
+     * Records a won game in the campaign it was played in.
+     * @param {object} game - The active game object.
+     * @returns {object | null} The campaign game that follows, or null outside a campaign or after its last game.
+     */
+    const completeGameInCampaign = (game) => {
 
-            const games = await response.json();
+        const campaign = availableCampaigns.find(c => c.id === game.campaignId);
 
-            gameMenu.innerHTML = ''; // Clear static content
+        if (!campaign) return null;
 
-            games.forEach(game => {
+        gameStorage.saveCampaignProgress(campaign.id, completeCampaignGame(gameStorage.loadCampaignProgress(campaign.id), game.gameFile));
 
-                const li = document.createElement('li');
+        return getNextCampaignGame(campaign, game.gameFile);
+    };
+
+    /**
+     * Renders the campaigns on the start screen with the player's progress. Each campaign lists
+     * its games in order; games that are not unlocked yet cannot be started.
+     */
+    const renderCampaignMenu = () => {
+
+        campaignMenu.innerHTML = '';
+        campaignMenu.parentElement.hidden = availableCampaigns.length === 0;
+
+        availableCampaigns.forEach(campaign => {
+
+            const completedGames = gameStorage.loadCampaignProgress(campaign.id);
+            const { completed, total, isComplete } = summarizeCampaign(campaign, completedGames);
+            const li = document.createElement('li');
+            li.className = 'campaign';
+
+            li.innerHTML = `
+                <div class="title">${campaign.title}</div>
+                <div class="description">${campaign.description || ''}</div>
+                <div class="campaign-progress">${isComplete ? 'campaign complete!' : `${completed} / ${total} games completed`}</div>
+            `;
+
+            const gameList = document.createElement('ol');
+            gameList.className = 'campaign-games';
+
+            getCampaignGameStates(campaign, completedGames).forEach(({ game, state }) => {
+
+                const gameItem = document.createElement('li');
                 const button = document.createElement('button');
-                button.className = 'game-button';
+                button.className = `game-button is-${state}`;
                 button.dataset.gameFile = game.file;
-
+                button.disabled = state === 'locked';
                 button.innerHTML = `
                     <div class="title">${game.title}</div>
-                    <div class="description">${game.description}</div>
+                    <div class="description">${state === 'locked' ? 'locked: complete the previous game first' : game.description || ''}</div>
+                    ${state === 'completed' ? '<div class="personal-best">completed</div>' : ''}
                 `;
+                button.addEventListener('click', () => startGame(game.file, true, campaign.id));
+
+                gameItem.appendChild(button);
+                gameList.appendChild(gameItem);
+            });
 
-                button.addEventListener('click', () => {
-                    navigateTo(gameScreen);
-                    menuPopout.style.display = 'none';
-                    loadGame(game.file);
+            li.appendChild(gameList);
+
+            if (completed > 0) {
+
+                const restartButton = document.createElement('button');
+                restartButton.className = 'button--action';
+                restartButton.textContent = 'restart campaign';
+                restartButton.addEventListener('click', () => {
+
+                    gameStorage.clearCampaignProgress(campaign.id);
+                    // Only the campaign's own saves; the same games played on their own keep theirs.
+                    campaign.games.forEach(game => gameStorage.clearProgress(game.file, campaign.id));
+                    renderCampaignMenu();
                 });
 
-                li.appendChild(button);
-                gameMenu.appendChild(li);
-            });
+                li.appendChild(restartButton);
+            }
+
+            campaignMenu.appendChild(li);
+        });
+    };
+
+    /**
+     * Renders the game menu on the start screen, after the campaigns. Games with saved progress
+     * get a choice between continuing and restarting.
+     */
+    const renderGameMenu = () => {
+
+        renderCampaignMenu();
+        gameMenu.innerHTML = ''; // Clear static content
+
+        availableGames.forEach(game => {
+
+            const hasProgress = gameStorage.hasProgress(game.file);
+            const best = gameStorage.loadPersonalBest(game.file);
+            const li = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'game-button';
+            button.dataset.gameFile = game.file;
+
+            button.innerHTML = `
+                <div class="title">${game.title}</div>
+                <div class="description">${game.description}</div>
+                ${best ? `<div class="personal-best">best: ${best.score} in ${formatDuration(best.timeMs)}</div>` : ''}
+            `;
+
+            button.addEventListener('click', () => startGame(game.file));
+
+            li.appendChild(button);
+
+            if (hasProgress) {
+
+                const progressActions = document.createElement('div');
+                progressActions.className = 'game-progress-actions';
+
+                const continueButton = document.createElement('button');
+                continueButton.className = 'button--action';
+                continueButton.textContent = 'continue';
+                continueButton.addEventListener('click', () => startGame(game.file));
+
+                const restartButton = document.createElement('button');
+                restartButton.className = 'button--action';
+                restartButton.textContent = 'restart';
+                restartButton.addEventListener('click', () => startGame(game.file, false));
+
+                progressActions.appendChild(continueButton);
+                progressActions.appendChild(restartButton);
+                li.appendChild(progressActions);
+            }
+
+            gameMenu.appendChild(li);
+        });
+    };
+
+    /**
+     * Fetches the campaigns. Campaigns are optional, so without them the start screen only lists the games.
+     * @returns {Promise<Array<object>>}
+     */
+    async function loadCampaigns() {
+
+        try {
+
+            const response = await fetch('games/campaigns.json');
+
+            if (!response.ok) return [];
+
+            const campaigns = await response.json();
+
+            return Array.isArray(campaigns) ? campaigns.filter(c => c && c.id && Array.isArray(c.games)) : [];
+
+        } catch (error) {
+
+            console.error("Could not load campaigns:", error);
+
+            return [];
+        }
+    }
+
+    async function initializeStartScreen() {
+
+        try {
+
+            const response = await fetch('games/games.json');
+
+            if (!response.ok) {
+
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            availableGames = await response.json();
+            availableCampaigns = await loadCampaigns();
+            renderGameMenu();
 
         } catch (error) {
 
@@ -484,8 +1084,93 @@ const start = () => {
         }
     }
 
+    const hintLabels = {
+        'wrong-matches': 'check my matches',
+        'reveal-match': 'reveal a match',
+        'next-match': 'reveal the next match'
+    };
+
+    const describeHint = (hint) => {
+
+        const pairNames = hint.pairs.map(([a, b]) => `${getSlideName(a)} and ${getSlideName(b)}`);
+
+        switch (hint.kind) {
+            case 'wrong-matches':
+                return pairNames.length > 0 ? `These matches are wrong: ${pairNames.join('; ')}.` : 'All your matches so far are correct.';
+
+            case 'next-match':
+                return `The next match is ${pairNames[0]}.`;
+
+            default:
+                return `${pairNames[0]} are a match.`;
+        }
+    };
+
+    /**
+     * Renders the hint buttons for the active puzzle, with the number of hints left in the game.
+     * @param {HTMLElement} container - The element to render the hints into.
+     * @param {object} activePuzzle - The puzzle at the player's location.
+     */
+    const renderHints = (container, activePuzzle) => {
+
+        const hintsSection = document.createElement('section');
+        hintsSection.className = 'info-hints';
+
+        const remaining = getHintsRemaining(activeGame);
+        const heading = document.createElement('p');
+        heading.innerHTML = `<strong>Hints left:</strong> ${remaining} / ${activeGame.hintBudget}`;
+        hintsSection.appendChild(heading);
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.className = 'info-actions';
+        const result = document.createElement('p');
+        result.className = 'hint-result';
+        result.tabIndex = -1;
+
+        const playerMatches = activeGame.gameState.playerMatchesByPuzzle.get(activePuzzle.id) || new Map();
+
+        Object.entries(hintLabels).forEach(([kind, label]) => {
+
+            // Only offer hints that would tell the player something.
+            if (!getHint(kind, activePuzzle, playerMatches)) return;
+
+            const hintButton = document.createElement('button');
+            hintButton.textContent = label;
+            hintButton.className = 'button--action';
+            hintButton.disabled = remaining === 0;
+            hintButton.addEventListener('click', () => {
+
+                const hint = useHint(activeGame, activePuzzle, kind);
+
+                if (!hint) return;
+
+                persistGameProgress();
+                // Re-render to update the budget, then show the hint below the buttons.
+                // The clicked button is replaced, so focus moves to the hint itself.
+                renderInfoScreen();
+                const hintResult = infoPuzzleSection.querySelector('.hint-result');
+                hintResult.textContent = describeHint(hint);
+                hintResult.focus();
+                announcer.announce(describeHint(hint));
+            });
+
+            buttonContainer.appendChild(hintButton);
+        });
+
+        if (buttonContainer.children.length > 0) {
+
+            hintsSection.appendChild(buttonContainer);
+        }
+
+        hintsSection.appendChild(result);
+        container.appendChild(hintsSection);
+    };
+
     const renderInfoScreen = () => {
 
+        // Only a loaded game has slides to credit.
+        infoCredits.hidden = !activeGame.gameFile;
+
         if (!activeGame.puzzleData || activeGame.puzzleData.length === 0 || !activeGame.layout) {
 
             // If no puzzle is loaded, ensure the info screen is blank.
@@ -500,19 +1185,35 @@ const start = () => {
 
             const totalMatches = activePuzzle.solutions.length;
             const playerMatchesForPuzzle = activeGame.gameState.playerMatchesByPuzzle.get(activePuzzle.id) || new Map();
-            const playerMatchesCount = playerMatchesForPuzzle.size;
+            const playerMatchesCount = countMatches(playerMatchesForPuzzle);
+            statsTimer.flush(); // Include the time played up to now.
+            const puzzleStats = summarizePuzzleStats(activeGame, activePuzzle);
+            const gameStats = summarizeGameStats(activeGame);
+            const missingTitles = getMissingPuzzleTitles(activePuzzle);
 
             infoPuzzleSection.innerHTML = `
-            <div>
+            <div class="info-puzzle-details">
                 <h3>${activePuzzle.puzzletitle}</h3>
                 ${activePuzzle.instructions ? `<p><strong>Instructions:</strong> ${activePuzzle.instructions}` : ''}</p>
                 <ul>
                     <li><strong>Type:</strong> ${activePuzzle.type} (${activePuzzle.evaluation})</li>
+                    ${missingTitles.length > 0 ? `<li><strong>Locked:</strong> solve ${missingTitles.join(', ')} first</li>` : ''}
                     <li><strong>Matches:</strong> ${playerMatchesCount} / ${totalMatches}</li>
+                    <li><strong>Time:</strong> ${formatDuration(puzzleStats.timeMs)}</li>
+                    <li><strong>Matches made or removed:</strong> ${puzzleStats.toggles}</li>
+                    <li><strong>Wrong submissions:</strong> ${puzzleStats.wrongSubmissions}</li>
+                    <li><strong>Score:</strong> ${puzzleStats.solved ? puzzleStats.score : 'not solved yet'}</li>
                 </ul>
+                <p><strong>Game:</strong> ${gameStats.solvedPuzzles} / ${activeGame.puzzleData.length} puzzles solved, ${formatDuration(gameStats.timeMs)}, score ${gameStats.score}</p>
             </div>
             `;
 
+            // A locked puzzle cannot be played yet, so there is nothing to hint at.
+            if (missingTitles.length === 0) {
+
+                renderHints(infoPuzzleSection.querySelector('.info-puzzle-details'), activePuzzle);
+            }
+
         } else {
 
             infoPuzzleSection.innerHTML = `<p>Navigate to a puzzle slot to see puzzle information.</p>`;
@@ -542,7 +1243,13 @@ const start = () => {
             {
                 showNames: settingsState.showSlideNames,
                 onSlotClick: handleVisualizerSlotClick,
-                playerState: activeGame.playerState
+                playerState: activeGame.playerState,
+                getSlotStatus: (slot) => {
+
+                    const puzzle = activeGame.puzzleData.find(p => p.id === slot.activates_puzzle_id);
+
+                    return puzzle ? getPuzzleStatus(puzzle, activeGame.gameState.solvedPuzzles) : null;
+                }
             });
 
         if (visualizerSvg) {
@@ -564,11 +1271,76 @@ const start = () => {
 
     };
 
+    /**
+     * Renders the credits screen: the attribution of the media of every slide of the game.
+     */
+    const renderCreditsScreen = () => {
+
+        const entries = collectSlideCredits(activeGame.slideGroups);
+
+        creditsSection.replaceChildren();
+
+        if (entries.length === 0) {
+
+            creditsSection.innerHTML = '<p>This game has no images or media to credit.</p>';
+
+            return;
+        }
+
+        const list = document.createElement('ul');
+        list.className = 'credits-list';
+
+        entries.forEach(({ name, media, credit }) => {
+
+            const item = document.createElement('li');
+
+            if (media && /\.(jpe?g|png|gif|svg|webp|avif)$/i.test(media)) {
+
+                const thumbnail = document.createElement('img');
+                thumbnail.src = media;
+                thumbnail.alt = '';
+                thumbnail.loading = 'lazy';
+                item.appendChild(thumbnail);
+            }
+
+            const details = document.createElement('p');
+            const title = document.createElement('strong');
+            title.textContent = name;
+            details.appendChild(title);
+
+            const description = document.createElement('span');
+            description.textContent = formatCredit(credit) || (credit ? '' : 'No attribution recorded.');
+            details.append(document.createElement('br'), description);
+
+            if (isLinkableSource(credit?.source)) {
+
+                const link = document.createElement('a');
+                link.href = credit.source;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                link.textContent = 'source';
+                details.append(' ', link);
+            }
+
+            item.appendChild(details);
+            list.appendChild(item);
+        });
+
+        creditsSection.appendChild(list);
+    };
+
     // --- State-based Screen Navigation ---
     let activeScreen = startScreen;
     let previousScreen = null;
 
-    function navigateTo(targetScreen) {
+    /**
+     * Shows a screen.
+     * @param {HTMLElement} targetScreen - The screen to show.
+     * @param {object} [options]
+     * @param {boolean} [options.updateHistory=true] - Add a browser history entry for the screen. Screens shown
+     *   because of the URL, e.g. after the back button, are already in the history.
+     */
+    function navigateTo(targetScreen, { updateHistory = true } = {}) {
 
         if (activeScreen) {
 
@@ -579,16 +1351,77 @@ const start = () => {
         targetScreen.style.display = targetScreen.classList.contains('settings-screen') ? 'flex' : 'block';
         activeScreen = targetScreen;
 
-        // When navigating to the game screen, ensure the puzzle nav is visible.
+        // When navigating to the game screen, ensure the puzzle nav is visible,
+        // and move focus to it so keyboard and screen reader users continue where they play.
         if (targetScreen === gameScreen) {
 
             puzzleNav.style.display = 'grid';
+            gameScreen.focus({ preventScroll: true });
         }
 
         // The top navigation containing the menu button should always be visible.
         topNav.style.display = 'grid';
+
+        // Time only counts while the game screen is shown.
+        syncStatsTimer();
+
+        if (updateHistory) {
+
+            router.push(getCurrentRoute());
+        }
+    }
+
+    /**
+     * Describes where the player is as a route: the screen, the game and the puzzle slot.
+     * @returns {{screen: string, game: string | null, slot: string | null, campaign: string | null}}
+     */
+    function getCurrentRoute(game = activeGame) {
+
+        const screens = new Map([[gameScreen, 'game'], [infoScreen, 'info'], [creditsScreen, 'credits'], [settingsScreen, 'settings']]);
+        const screen = screens.get(activeScreen) || 'start';
+
+        if (screen === 'start' || !game.gameFile) return { screen, game: null, slot: null, campaign: null };
+
+        const currentSlot = game.playerState
+            ? game.layout.puzzle_slots.find(slot => slot.host_group_id === game.playerState.currentSliderId && slot.at_index === game.playerState.currentIndex)
+            : null;
+
+        return {
+            screen,
+            game: game.gameFile,
+            slot: currentSlot?.slot_id || null,
+            campaign: game.campaignId
+        };
     }
 
+    /**
+     * Starts, switches or stops the stats timer to match what the player is doing:
+     * time counts for the game while it is played, and for a puzzle until it is solved.
+     */
+    function syncStatsTimer() {
+
+        const isPlaying = activeScreen === gameScreen &&
+            !!activeGame.playerState &&
+            !gameScreen.classList.contains('disabled') &&
+            document.visibilityState === 'visible';
+
+        if (!isPlaying) {
+
+            statsTimer.stop();
+
+            return;
+        }
+
+        const activePuzzle = getActivePuzzleForCurrentLocation();
+        // Only a puzzle that can be played, and is not solved yet, has its time counted.
+        const puzzleId = activePuzzle && getPuzzleStatus(activePuzzle, activeGame.gameState.solvedPuzzles) === 'unlocked' ? activePuzzle.id : null;
+
+        statsTimer.track(activeGame.gameState.stats, puzzleId);
+    }
+
+    // Pause the timer while the page is in the background.
+    document.addEventListener('visibilitychange', syncStatsTimer);
+
     menuButton.addEventListener('click', () => {
 
         const isVisible = menuPopout.style.display === 'flex';
@@ -619,25 +1452,48 @@ const start = () => {
 
             backButton.style.display = 'block';
 
-        } else if (activeScreen === infoScreen) {
+        } else if (activeScreen === infoScreen || activeScreen === creditsScreen) {
 
             backButton.style.display = 'block';
         }
     });
 
-    quitGameButton.addEventListener('click', () => {
+    /**
+     * Ends the game session, keeping the player's progress so the game can be continued from the start screen.
+     */
+    const closeGame = () => {
 
-        menuPopout.style.display = 'none';
         puzzleNav.style.display = 'none';
+        toaster.classList.remove('is-visible');
+        toasterNextButton.style.display = 'none';
+        nextCampaignGame = null;
+        gameScreen.classList.remove('disabled');
+
+        statsTimer.stop();
+
+        // A won game's progress was already cleared, so it starts fresh the next time.
+        if (activeGame.gameFile && !isGameWon()) {
+
+            persistGameProgress();
+        }
+
+        announcer.clear();
 
         // Clear all data associated with the game session.
         activeGame = {
+            gameFile: null,
+            campaignId: null,
             playerState: null,
+            hintBudget: 0,
+            submitFeedback: false,
             gameState: {
                 playerMatchesByPuzzle: new Map(),
-                solvedPuzzles: new Set()
+                solvedPuzzles: new Set(),
+                hintsUsed: [],
+                stats: createGameStats()
             },
             puzzleData: [],
+            slideData: {},
             layout: {},
             slideGroups: [],
             worldMap: new Map(),
@@ -645,17 +1501,48 @@ const start = () => {
         };
 
         cleanupPreviousGame(); // Also remove DOM elements and swiper instances.
+    };
 
+    quitGameButton.addEventListener('click', () => {
+
+        menuPopout.style.display = 'none';
+        closeGame();
+        renderGameMenu();
         navigateTo(startScreen);
     });
 
-    submitButton.addEventListener('click', () => {
+    /**
+     * Describes the evaluation of a wrong submission for screen reader users.
+     */
+    const describeSubmitFeedback = (result) => {
+
+        const parts = [`Not quite... ${result.correct.length} of ${result.solutions.length} matches correct`];
+
+        if (result.wrong.length > 0) parts.push(`${result.wrong.length} wrong`);
+        if (result.missing > 0) parts.push(`${result.missing} missing`);
+        if (result.firstOutOfOrderIndex !== null) parts.push(`the order goes wrong at match ${result.firstOutOfOrderIndex + 1}`);
+
+        return `${parts.join(', ')}.`;
+    };
+
+    /**
+     * Checks the player's matches for the active puzzle, as requested by the player.
+     */
+    const submitActivePuzzle = () => {
 
         const activePuzzle = getActivePuzzleForCurrentLocation();
 
         if (!activePuzzle) return;
 
         menuPopout.style.display = 'none';
+
+        if (isPuzzleLocked(activePuzzle.id)) {
+
+            announceLockedPuzzle(activePuzzle.id);
+
+            return;
+        }
+
         const playerMatchesForPuzzle = activeGame.gameState.playerMatchesByPuzzle.get(activePuzzle.id) || new Map();
 
         checkActivePuzzleSolved(); // First, check and mark the current puzzle as solved if it is.
@@ -669,7 +1556,23 @@ const start = () => {
             const toasterText = toaster.querySelector('p');
             const originalText = 'all matches complete!'; // Store original text
             toasterBackButton.style.display = 'none'; // Hide the back button for this message
+            recordWrongSubmission(activeGame.gameState.stats, activePuzzle.id);
+            persistGameProgress();
+            toasterStats.innerHTML = '';
             toasterText.textContent = 'Not quite...';
+
+            if (activeGame.submitFeedback) {
+
+                const result = evaluatePuzzle(activePuzzle, playerMatchesForPuzzle);
+
+                matchVisualizer.showFeedback(activePuzzle.id, result);
+                toasterText.textContent = `Not quite... ${result.correct.length} of ${result.solutions.length} correct`;
+                announcer.announce(describeSubmitFeedback(result));
+            } else {
+
+                announcer.announce('Not quite... The puzzle is not solved yet.');
+            }
+
             toaster.classList.add('is-visible');
 
             // Hide the toaster after a short delay
@@ -686,7 +1589,12 @@ const start = () => {
 
             }, 1500);
         }
-    });
+    };
+
+    submitButton.addEventListener('click', submitActivePuzzle);
+
+    undoButton.addEventListener('click', () => stepMatchHistory('undo'));
+    redoButton.addEventListener('click', () => stepMatchHistory('redo'));
 
     settingsButton.addEventListener('click', () => {
 
@@ -694,7 +1602,7 @@ const start = () => {
         menuPopout.style.display = 'none';
     });
 
-    infoButton.addEventListener('click', () => {
+    const toggleInfoScreen = () => {
 
         menuPopout.style.display = 'none';
 
@@ -711,6 +1619,14 @@ const start = () => {
             renderInfoScreen();
             navigateTo(infoScreen);
         }
+    };
+
+    infoButton.addEventListener('click', toggleInfoScreen);
+
+    infoCreditsButton.addEventListener('click', () => {
+
+        renderCreditsScreen();
+        navigateTo(creditsScreen);
     });
 
     backButton.addEventListener('click', () => {
@@ -721,14 +1637,42 @@ const start = () => {
         // This logic assumes 'back' from settings/info always returns to the game screen if a game is active.
         if (activeScreen === settingsScreen || activeScreen === infoScreen) {
             navigateTo(gameScreen);
+        } else if (activeScreen === creditsScreen) {
+            // The credits are opened from the info screen.
+            renderInfoScreen();
+            navigateTo(infoScreen);
         }
     });
 
-    toasterBackButton.addEventListener('click', () => {
+    errorBackButton.addEventListener('click', () => {
+
+        menuPopout.style.display = 'none';
+        navigateTo(startScreen);
+    });
+
+    toasterNextButton.addEventListener('click', () => {
+
+        const campaignId = activeGame.campaignId;
+        const nextGame = nextCampaignGame;
 
         toaster.classList.remove('is-visible');
+        toasterStats.innerHTML = '';
+        toasterNextButton.style.display = 'none';
+        nextCampaignGame = null;
         gameScreen.classList.remove('disabled'); // Re-enable game interaction
-        puzzleNav.style.display = 'none';
+
+        if (nextGame) {
+
+            startGame(nextGame.file, true, campaignId);
+        }
+    });
+
+    toasterBackButton.addEventListener('click', () => {
+
+        toasterStats.innerHTML = '';
+        // The game is over, so the player goes back to the menu.
+        closeGame();
+        renderGameMenu();
         navigateTo(startScreen);
     });
 
@@ -753,6 +1697,8 @@ const start = () => {
     // These are done once. The modules will internally get the latest `activeGame` state when needed.
     const navigationHandler = createNavigationHandler({
         getGame: () => activeGame,
+        isPuzzleLocked: (puzzleId) => isPuzzleLocked(puzzleId),
+        onBlocked: (puzzleId) => announceLockedPuzzle(puzzleId),
         domElements: { prevButton, nextButton, upButton, downButton },
         onStateUpdate: (newState) => {
             updateStateAndRender({ ...newState, isJump: true });
@@ -767,8 +1713,22 @@ const start = () => {
         checkPuzzleSolved: checkActivePuzzleSolved,
         checkGameWin: checkGameWinCondition,
         getActivePuzzle: getActivePuzzleForCurrentLocation,
+        isPuzzleLocked: (puzzleId) => isPuzzleLocked(puzzleId),
+        onLocked: (puzzle) => announceLockedPuzzle(puzzle.id),
         matchVisualizer: matchVisualizer,
+        onMatchesChanged: ({ puzzleId, hostSlideId, guestSlideId, isNowMatched, previousMatches }) => {
+
+            matchHistory.record(puzzleId, previousMatches, Array.from(activeGame.gameState.playerMatchesByPuzzle.get(puzzleId).entries()));
+            // The feedback of the last submission no longer applies.
+            matchVisualizer.clearFeedback();
+            updateHistoryControls();
+            recordToggle(activeGame.gameState.stats, puzzleId);
+            persistGameProgress();
+            matchVisualizer.synchronizeAccessibility();
+            announcer.announce(`${isNowMatched ? 'Matched' : 'Unmatched'} ${getSlideName(hostSlideId)} and ${getSlideName(guestSlideId)}.`);
+        },
         domElements: { gameScreen },
+        dragOptions: { dragThreshold: 10, directionLockRatio: 1 },
         // For swipes and same-slider nav, it's not a jump.
         onStateUpdate: (newState) => updateStateAndRender(newState),
     });
@@ -776,18 +1736,155 @@ const start = () => {
     // For now, we will attach it here. A more advanced implementation might attach/detach per game.
     dragAndTapHandler.attach();
 
+    const keyboardHandler = createKeyboardHandler({
+        // The toaster disables the game screen while it is shown.
+        isGameScreenActive: () => activeScreen === gameScreen && !!activeGame.playerState && !gameScreen.classList.contains('disabled'),
+        isInfoScreenActive: () => activeScreen === infoScreen && !!activeGame.playerState,
+        navigate: navigationHandler.navigate,
+        attemptMatch: dragAndTapHandler.handleMatchAttempt,
+        submit: () => {
+            // Mirror the menu, which only offers submit in this mode and once there is a match.
+            const activePuzzle = getActivePuzzleForCurrentLocation();
+
+            if (settingsState.puzzleCompletion === 'user-submits' && activePuzzle && (activeGame.gameState.playerMatchesByPuzzle.get(activePuzzle.id)?.size || 0) > 0) {
+
+                submitActivePuzzle();
+            }
+        },
+        clearMatches: clearActivePuzzleMatches,
+        undo: () => stepMatchHistory('undo'),
+        redo: () => stepMatchHistory('redo'),
+        toggleInfo: toggleInfoScreen
+    });
+
+    keyboardHandler.attach();
+
     // Set initial state
     startScreen.style.display = 'none';
     leadInScreen.style.display = 'block';
     gameScreen.style.display = 'none';
     settingsScreen.style.display = 'none';
     infoScreen.style.display = 'none';
+    creditsScreen.style.display = 'none';
+    errorScreen.style.display = 'none';
 
     // --- Screen and Menu Navigation Logic ---
     previousScreen = startScreen;
 
+    /**
+     * Finds how a linked game can be played: in the linked campaign if the game is unlocked there,
+     * otherwise on its own if it is on the game menu.
+     * @param {object} route - The route.
+     * @returns {{campaignId: string | null} | {error: string}}
+     */
+    const resolveRouteGame = (route) => {
+
+        const campaign = availableCampaigns.find(c => c.id === route.campaign && c.games.some(game => game.file === route.game));
+
+        if (campaign) {
+
+            return isCampaignGameUnlocked(campaign, gameStorage.loadCampaignProgress(campaign.id), route.game)
+                ? { campaignId: campaign.id }
+                : { error: 'This game is locked. Complete the previous games of the campaign first.' };
+        }
+
+        return availableGames.some(game => game.file === route.game)
+            ? { campaignId: null }
+            : { error: 'This link points to a game that is not available.' };
+    };
+
+    /**
+     * Shows the screen, game and puzzle slot of a route, e.g. from a shared link or the browser's back button.
+     * The route is already in the browser history, so no history entries are added.
+     * @param {object} route - The route from `parseRoute`.
+     */
+    async function applyRoute(route) {
+
+        menuPopout.style.display = 'none';
+
+        if (route.screen === 'settings' && !route.game) {
+
+            navigateTo(settingsScreen, { updateHistory: false });
+
+            return;
+        }
+
+        if (!route.game) {
+
+            if (activeGame.gameFile) {
+
+                closeGame();
+            }
+
+            renderGameMenu();
+            navigateTo(startScreen, { updateHistory: false });
+
+            return;
+        }
+
+        if (route.game !== activeGame.gameFile) {
+
+            const resolved = resolveRouteGame(route);
+
+            if (activeGame.gameFile) {
+
+                closeGame();
+            }
+
+            if (resolved.error) {
+
+                showErrorScreen(resolved.error);
+
+                return;
+            }
+
+            navigateTo(gameScreen, { updateHistory: false });
+
+            if (!(await loadGame(route.game, { campaignId: resolved.campaignId }))) return;
+        }
+
+        const slot = route.slot ? activeGame.layout.puzzle_slots.find(s => s.slot_id === route.slot) : null;
+
+        if (activeScreen !== gameScreen) {
+
+            navigateTo(gameScreen, { updateHistory: false });
+        }
+
+        if (slot && (slot.host_group_id !== activeGame.playerState.currentSliderId || slot.at_index !== activeGame.playerState.currentIndex)) {
+
+            updateStateAndRender({ currentSliderId: slot.host_group_id, currentIndex: slot.at_index, isJump: true });
+        }
+
+        if (route.screen === 'info') {
+
+            renderInfoScreen();
+            navigateTo(infoScreen, { updateHistory: false });
+
+        } else if (route.screen === 'credits') {
+
+            renderCreditsScreen();
+            navigateTo(creditsScreen, { updateHistory: false });
+
+        } else if (route.screen === 'settings') {
+
+            navigateTo(settingsScreen, { updateHistory: false });
+        }
+
+        // Drop whatever in the link did not apply, e.g. an unknown slot.
+        router.replace(getCurrentRoute());
+    }
+
     // Start the application by initializing the start screen
-    initializeStartScreen();
+    // The menus are needed to check a linked game, so the link is followed once they are loaded.
+    initializeStartScreen().then(() => {
+
+        router.attach();
+
+        if (router.getRoute().screen !== 'start') {
+
+            applyRoute(router.getRoute());
+        }
+    });
 }
 
 document.addEventListener('DOMContentLoaded', () => {
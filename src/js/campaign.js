@@ -0,0 +1,74 @@
+/**
+ * Campaigns sequence several game files. They are listed in `games/campaigns.json`:
+ *
+ *   [{ "id": "...", "title": "...", "description": "...", "games": [{ "title": "...", "description": "...", "file": "games/..." }] }]
+ *
+ * The games of a campaign are played in order: the first game is open from the start and winning
+ * a game unlocks the next one. Completed games stay open, so they can be played again.
+ * The campaign's progress is the list of game files the player has completed.
+ */
+
+/**
+ * Gets the state of each game of a campaign.
+ * @param {object} campaign - The campaign.
+ * @param {Array<string>} completedGames - The game files the player has completed.
+ * @returns {Array<{game: object, state: 'completed' | 'unlocked' | 'locked'}>}
+ */
+export const getCampaignGameStates = (campaign, completedGames) => {
+
+    const completed = new Set(completedGames);
+    const firstOpenIndex = campaign.games.findIndex(game => !completed.has(game.file));
+
+    return campaign.games.map((game, index) => ({
+        game,
+        state: completed.has(game.file) ? 'completed' : index === firstOpenIndex ? 'unlocked' : 'locked'
+    }));
+};
+
+/**
+ * Checks if a game of a campaign can be played.
+ * @param {object} campaign - The campaign.
+ * @param {Array<string>} completedGames - The game files the player has completed.
+ * @param {string} gameFile - The game file to check.
+ * @returns {boolean}
+ */
+export const isCampaignGameUnlocked = (campaign, completedGames, gameFile) => {
+
+    const entry = getCampaignGameStates(campaign, completedGames).find(({ game }) => game.file === gameFile);
+
+    return !!entry && entry.state !== 'locked';
+};
+
+/**
+ * Gets the game that follows a game in a campaign.
+ * @param {object} campaign - The campaign.
+ * @param {string} gameFile - The game file.
+ * @returns {object | null} The next game, or null if the game is the last one or not part of the campaign.
+ */
+export const getNextCampaignGame = (campaign, gameFile) => {
+
+    const index = campaign.games.findIndex(game => game.file === gameFile);
+
+    return index === -1 ? null : campaign.games[index + 1] || null;
+};
+
+/**
+ * Records a game as completed.
+ * @param {Array<string>} completedGames - The game files the player has completed.
+ * @param {string} gameFile - The game file that was won.
+ * @returns {Array<string>} The completed game files, including the new one.
+ */
+export const completeCampaignGame = (completedGames, gameFile) => (completedGames.includes(gameFile) ? completedGames : [...completedGames, gameFile]);
+
+/**
+ * Summarizes the player's progress through a campaign.
+ * @param {object} campaign - The campaign.
+ * @param {Array<string>} completedGames - The game files the player has completed.
+ * @returns {{completed: number, total: number, isComplete: boolean}}
+ */
+export const summarizeCampaign = (campaign, completedGames) => {
+
+    const completed = campaign.games.filter(game => completedGames.includes(game.file)).length;
+
+    return { completed, total: campaign.games.length, isComplete: campaign.games.length > 0 && completed === campaign.games.length };
+};
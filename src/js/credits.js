@@ -0,0 +1,62 @@
+/**
+ * Attribution for the media of slides. A slide can credit the image, audio or video it shows:
+ *
+ *   "credit": { "author": "...", "license": "...", "source": "https://..." }
+ *
+ * All fields are optional. `source` is the page the media was taken from, e.g. its Wikimedia Commons page.
+ * The credits screen lists the attribution of every slide of the game.
+ */
+
+export const CREDIT_FIELDS = ['author', 'license', 'source'];
+
+/**
+ * Gets the media file a slide shows: the `src` of its content, or its image.
+ * @param {object} slide - The slide.
+ * @returns {string | null}
+ */
+export const getSlideMedia = (slide) => slide.content?.src || slide.img || null;
+
+/**
+ * Checks if a credit has anything to show.
+ * @param {object} [credit] - The credit.
+ * @returns {boolean}
+ */
+export const hasCredit = (credit) => !!credit && CREDIT_FIELDS.some(field => !!credit[field]);
+
+/**
+ * Lists the credits of the slides of a game, in the order of the slide groups. A slide that appears in
+ * several groups is listed once. Slides without media or credit, e.g. text slides, are left out.
+ * @param {Array<object>} slideGroups - The slide groups of the game.
+ * @returns {Array<{slideId: string, name: string, media: string | null, credit: object | null}>}
+ *   The entries; `credit` is null for media that has no attribution yet.
+ */
+export const collectSlideCredits = (slideGroups) => {
+
+    const entries = new Map();
+
+    (slideGroups || []).forEach(group => group.slides.forEach(slide => {
+
+        const media = getSlideMedia(slide);
+        const credit = hasCredit(slide.credit) ? slide.credit : null;
+
+        if (entries.has(slide.id) || (!media && !credit)) return;
+
+        entries.set(slide.id, { slideId: slide.id, name: slide.name || slide.id, media, credit });
+    }));
+
+    return Array.from(entries.values());
+};
+
+/**
+ * Describes a credit in one line, e.g. "Jane Doe, CC BY-SA 4.0".
+ * @param {object} [credit] - The credit.
+ * @returns {string} The description, or '' without author and license.
+ */
+export const formatCredit = (credit) => (credit ? [credit.author, credit.license].filter(Boolean).join(', ') : '');
+
+/**
+ * Checks if a credit's source can be linked to.
+ * @param {string} [source] - The source.
+ * @returns {boolean}
+ */
+export const isLinkableSource = (source) => typeof source === 'string' && /^https?:\/\//i.test(source);
@@ -1,7 +1,10 @@
 import { createDragHandler } from './drag.js';
+import { allowsManyMatches, toggleMatch } from './player-matches.js';
 
 /**
  * Encapsulates player drag-to-swipe and tap-to-match logic.
+ * `handleMatchAttempt` is also returned so other input methods, like the keyboard, can share it.
+ * `dragOptions` (`dragThreshold`, `directionLockRatio`) configure the drag gesture, see `createDragHandler`.
  */
 export function createDragAndTapHandler(callbacks) {
 
@@ -11,8 +14,12 @@ export function createDragAndTapHandler(callbacks) {
         checkPuzzleSolved,
         checkGameWin,
         getActivePuzzle,
+        isPuzzleLocked = () => false,
+        onLocked,
         matchVisualizer,
-        domElements
+        onMatchesChanged,
+        domElements,
+        dragOptions = {}
     } = callbacks;
 
     let dragHandler = null;
@@ -25,6 +32,13 @@ export function createDragAndTapHandler(callbacks) {
 
         if (!activePuzzle) return; // Can't make a match if not on a puzzle slot.
 
+        if (isPuzzleLocked(activePuzzle.id)) {
+
+            if (onLocked) onLocked(activePuzzle);
+
+            return;
+        }
+
         const currentKey = `${game.playerState.currentSliderId}-${game.playerState.currentIndex}`;
         const currentNode = game.worldMap.get(currentKey);
 
@@ -44,19 +58,13 @@ export function createDragAndTapHandler(callbacks) {
         }
 
         const puzzleMatches = game.gameState.playerMatchesByPuzzle.get(activePuzzle.id);
-        const existingMatch = puzzleMatches.get(hId);
-
-        let isNowMatched;
-
-        if (existingMatch === vId) {
-
-            puzzleMatches.delete(hId);
-            isNowMatched = false;
+        const previousMatches = Array.from(puzzleMatches.entries());
+        // In a group puzzle a host keeps its other guests; otherwise the new guest replaces the old one.
+        const isNowMatched = toggleMatch(puzzleMatches, hId, vId, allowsManyMatches(activePuzzle));
 
-        } else {
+        if (onMatchesChanged) {
 
-            puzzleMatches.set(hId, vId);
-            isNowMatched = true;
+            onMatchesChanged({ puzzleId: activePuzzle.id, hostSlideId: hId, guestSlideId: vId, isNowMatched, previousMatches });
         }
 
         if (settings.puzzleCompletion === 'game-finishes') {
@@ -78,7 +86,8 @@ export function createDragAndTapHandler(callbacks) {
             const currentKey = `${game.playerState.currentSliderId}-${game.playerState.currentIndex}`;
             const currentNode = game.worldMap.get(currentKey);
             const hostSwiper = game.swiperInstances.get(game.playerState.currentSliderId);
-            const guestSwiper = currentNode?.guest ? game.swiperInstances.get(currentNode.guest.sliderId) : null;
+            // The guest slides of a locked puzzle stay put until the puzzle unlocks.
+            const guestSwiper = currentNode?.guest && !isPuzzleLocked(currentNode.puzzleId) ? game.swiperInstances.get(currentNode.guest.sliderId) : null;
 
             return { hostSwiper, guestSwiper };
         };
@@ -106,7 +115,7 @@ export function createDragAndTapHandler(callbacks) {
             dragSwiper.on('snapComplete', handleSnap);
         };
 
-        dragHandler = createDragHandler(domElements.gameScreen, getSwipersForDragHandler, handleMatchAttempt, onDragStart);
+        dragHandler = createDragHandler(domElements.gameScreen, getSwipersForDragHandler, handleMatchAttempt, onDragStart, dragOptions);
         dragHandler.attach();
     };
 
@@ -119,5 +128,5 @@ export function createDragAndTapHandler(callbacks) {
         }
     };
 
-    return { attach, detach };
+    return { attach, detach, handleMatchAttempt };
 }
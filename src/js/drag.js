@@ -1,43 +1,64 @@
+// A wheel gesture has settled when no wheel events arrived for this long (ms). Trackpads keep sending
+// events while their momentum runs out, so this waits for the end of it.
+const WHEEL_SETTLE_DELAY = 120;
+// A wheel gesture that moved a list at least this far (px) moves to the next slide, even if it is
+// closer to the one it started on. One notch of a mouse wheel goes this far.
+const WHEEL_STEP_DISTANCE = 30;
+// Wheel deltas in lines are converted with this line height (px).
+const WHEEL_LINE_HEIGHT = 16;
+
 /**
- * Creates a handler for pointer drag interactions on the game screen.
+ * Creates a handler for pointer drag and wheel interactions on the game screen.
+ * Horizontal wheel and trackpad movement drags the horizontal list in view, vertical movement the vertical one.
+ *
+ * A pointer drag follows one pointer, which the screen captures, so the drag continues outside of it.
+ * Other pointers, like a second finger, are ignored. When the browser cancels the pointer (e.g. for a
+ * system gesture) or the capture is lost, the drag is cancelled and the list snaps back to its slide.
  * @param {HTMLElement} screen - The main screen element.
  * @param {function} getSwipers - A function that returns the current host and guest swipers.
  * @param {function} onTapCallback - A callback to fire when a tap/click occurs.
  * @param {function} onDragStartCallback - A callback to fire when a drag officially starts, receiving the dragged and other swiper.
- * @returns {object} An object with an `attach` method to enable the handler.
+ * @param {object} [options={}] - The drag configuration.
+ * @param {number} [options.dragThreshold=10] - How far (px) a pointer moves before a drag starts; less is a tap.
+ * @param {number} [options.directionLockRatio=1] - How many times further a pointer must move along one axis
+ *   than the other before the drag locks to that axis. Until then, the drag waits; it is no longer a tap.
+ * @returns {object} An object with `attach` and `detach` methods to enable and disable the handler.
  */
-export function createDragHandler(screen, getSwipers, onTapCallback, onDragStartCallback) {
+export function createDragHandler(screen, getSwipers, onTapCallback, onDragStartCallback, options = {}) {
+
+    const { dragThreshold = 10, directionLockRatio = 1 } = options;
 
     const state = {
         isDown: false,
+        pointerId: null,
+        hasMoved: false, // Whether the pointer moved past the drag threshold, so the gesture is not a tap
         direction: null,
         startX: 0,
         startY: 0,
-        isDragStarted: false,
-        dragThreshold: 10
+        dragSwiper: null // The swiper being dragged, once the drag has started
     };
 
-    const handlePointerMove = (event) => {
-
-        if (!state.isDown) return;
-
-        if (!state.direction) {
-
-            const deltaX = Math.abs(event.clientX - state.startX);
-            const deltaY = Math.abs(event.clientY - state.startY);
-
-            if (deltaX > state.dragThreshold || deltaY > state.dragThreshold) {
+    // The wheel gesture in progress.
+    const wheel = {
+        dragSwiper: null,
+        position: 0,
+        startIndex: 0,
+        settleTimer: null
+    };
 
-                state.direction = (deltaX > deltaY) ? 'horizontal' : 'vertical';
-            }
-        }
+    /**
+     * Picks the swiper that moves along a direction, and the other swiper in view.
+     * @param {'horizontal' | 'vertical' | null} direction - The direction of the movement.
+     * @returns {{dragSwiper: object | null, otherSwiper: object | null}}
+     */
+    const getDragSwipers = (direction) => {
 
         const { hostSwiper, guestSwiper } = getSwipers();
 
-        if (!hostSwiper && !guestSwiper) return; // No swipers to drag
+        if (!hostSwiper) return { dragSwiper: null, otherSwiper: null };
 
-        const dragSwiper = (state.direction === hostSwiper.getDirection()) ? hostSwiper :
-            (guestSwiper && state.direction === guestSwiper.getDirection()) ? guestSwiper : null;
+        const dragSwiper = (direction === hostSwiper.getDirection()) ? hostSwiper :
+            (guestSwiper && direction === guestSwiper.getDirection()) ? guestSwiper : null;
 
         let otherSwiper = null;
 
@@ -53,70 +74,262 @@ export function createDragHandler(screen, getSwipers, onTapCallback, onDragStart
             }
         }
 
+        return { dragSwiper, otherSwiper };
+    };
 
+    /**
+     * Checks if the pointer moved past the drag threshold.
+     * @returns {boolean}
+     */
+    const isPastThreshold = (event) => Math.abs(event.clientX - state.startX) > dragThreshold || Math.abs(event.clientY - state.startY) > dragThreshold;
 
-        if (dragSwiper) {
+    /**
+     * Picks the direction of a drag once the pointer moved mostly along one axis.
+     * @returns {'horizontal' | 'vertical' | null} The direction, or null while it is undecided.
+     */
+    const getDragDirection = (event) => {
 
-            if (!state.isDragStarted) {
+        const deltaX = Math.abs(event.clientX - state.startX);
+        const deltaY = Math.abs(event.clientY - state.startY);
 
-                dragSwiper.startDrag(state.direction === 'horizontal' ? state.startX : state.startY);
-                state.isDragStarted = true;
+        if (deltaX > deltaY * directionLockRatio) return 'horizontal';
+        if (deltaY >= deltaX * directionLockRatio) return 'vertical';
 
-                if (onDragStartCallback) {
+        return null;
+    };
 
-                    onDragStartCallback(dragSwiper, otherSwiper); // prettier-ignore
-                }
-            }
+    // Without a snap to wait for, the screen is reset right away.
+    const resetScreen = () => {
+
+        screen.style.cursor = 'grab';
+        screen.classList.remove('is-dragging');
+    };
+
+    const handlePointerMove = (event) => {
+
+        if (!state.isDown || event.pointerId !== state.pointerId) return;
+
+        if (!state.hasMoved) {
+
+            state.hasMoved = isPastThreshold(event);
+        }
 
-            dragSwiper.drag(state.direction === 'horizontal' ? event.clientX : event.clientY);
+        if (!state.hasMoved) return;
+
+        if (!state.direction) {
+
+            state.direction = getDragDirection(event);
+        }
+
+        if (!state.direction) return;
+
+        if (!state.dragSwiper) {
+
+            const { dragSwiper, otherSwiper } = getDragSwipers(state.direction);
+
+            if (!dragSwiper) return;
+
+            dragSwiper.startDrag(state.direction === 'horizontal' ? state.startX : state.startY);
+            state.dragSwiper = dragSwiper;
+
+            if (onDragStartCallback) {
+
+                onDragStartCallback(dragSwiper, otherSwiper); // prettier-ignore
+            }
         }
+
+        state.dragSwiper.drag(state.direction === 'horizontal' ? event.clientX : event.clientY);
     };
 
-    const handlePointerUp = () => {
+    /**
+     * Stops following the pointer.
+     */
+    const releasePointer = () => {
+
+        const { pointerId } = state;
 
         state.isDown = false;
+        state.pointerId = null;
         window.removeEventListener('pointermove', handlePointerMove);
         window.removeEventListener('pointerup', handlePointerUp);
+        window.removeEventListener('pointercancel', handlePointerCancel);
+        window.removeEventListener('lostpointercapture', handlePointerCancel);
+
+        if (screen.hasPointerCapture(pointerId)) {
+
+            screen.releasePointerCapture(pointerId);
+        }
+    };
 
-        if (state.direction === null && onTapCallback) { // Only call onTap if no drag occurred
+    const handlePointerUp = (event) => {
 
-            onTapCallback();
+        if (event.pointerId !== state.pointerId) return;
+
+        releasePointer();
+
+        if (!state.hasMoved) { // Only call onTap if the pointer stayed within the drag threshold
+
+            if (onTapCallback) onTapCallback();
             // Reset cursor and class on tap, since no snap will occur.
-            screen.style.cursor = 'grab';
-            screen.classList.remove('is-dragging');
+            resetScreen();
+
+        } else if (state.dragSwiper) {
+
+            state.dragSwiper.endDrag();
 
         } else {
+            // The pointer moved diagonally, or along an axis without a list to drag.
+            resetScreen();
+        }
+
+        // Reset the drag for the next interaction, regardless of whether it was a tap or drag.
+        state.hasMoved = false;
+        state.direction = null;
+        state.dragSwiper = null;
+    };
+
+    /**
+     * Handles a pointer the browser took over, or whose capture was lost: nothing is tapped and the
+     * dragged list snaps back to the slide the drag started on.
+     */
+    const handlePointerCancel = (event) => {
+
+        if (!state.isDown || (event && event.pointerId !== state.pointerId)) return;
 
-            const { hostSwiper, guestSwiper } = getSwipers();
+        releasePointer();
 
-            if (hostSwiper && state.direction === hostSwiper.getDirection()) hostSwiper.endDrag();
-            else if (guestSwiper && state.direction === guestSwiper.getDirection()) guestSwiper.endDrag();
+        if (state.dragSwiper) {
+
+            state.dragSwiper.cancelDrag();
+
+        } else {
+
+            resetScreen();
         }
 
-        // Reset direction for the next interaction, regardless of whether it was a tap or drag.
+        state.hasMoved = false;
         state.direction = null;
+        state.dragSwiper = null;
+    };
+
+    /**
+     * Snaps the list of the wheel gesture to a slide once the gesture has settled.
+     */
+    const settleWheel = () => {
+
+        const { dragSwiper, position, startIndex } = wheel;
+
+        clearTimeout(wheel.settleTimer);
+        Object.assign(wheel, { dragSwiper: null, position: 0, settleTimer: null });
+
+        if (!dragSwiper) return;
+
+        // The trackpad's momentum already moved the list; a short gesture, like a wheel notch, still moves one slide.
+        const visualIndex = dragSwiper.getVisualIndex();
+        const step = position < 0 ? 1 : -1;
+        const targetIndex = visualIndex === startIndex && Math.abs(position) >= WHEEL_STEP_DISTANCE ? startIndex + step : visualIndex;
+
+        // Ends the drag like a swipe; the drag-start callback's listeners wait for this snap.
+        dragSwiper.snapTo(targetIndex, false, { source: 'drag' });
+    };
+
+    const getWheelDelta = (delta, deltaMode, pageSize) => {
+
+        if (deltaMode === WheelEvent.DOM_DELTA_LINE) return delta * WHEEL_LINE_HEIGHT;
+        if (deltaMode === WheelEvent.DOM_DELTA_PAGE) return delta * pageSize;
+
+        return delta;
+    };
+
+    const handleWheel = (event) => {
+
+        // Pinch-to-zoom arrives as a wheel event with the Ctrl key; pointer drags win over the wheel.
+        if (event.ctrlKey || state.isDown) return;
+
+        const deltaX = getWheelDelta(event.deltaX, event.deltaMode, screen.clientWidth);
+        const deltaY = getWheelDelta(event.deltaY, event.deltaMode, screen.clientHeight);
+
+        if (!wheel.dragSwiper) {
+
+            if (deltaX === 0 && deltaY === 0) return;
+
+            const direction = Math.abs(deltaX) > Math.abs(deltaY) ? 'horizontal' : 'vertical';
+            const { dragSwiper, otherSwiper } = getDragSwipers(direction);
+
+            if (!dragSwiper) return;
+
+            Object.assign(wheel, { dragSwiper, position: 0, startIndex: dragSwiper.getCurrentIndex() });
+
+            screen.classList.add('is-dragging');
+            dragSwiper.startDrag(0);
+
+            if (onDragStartCallback) {
+
+                onDragStartCallback(dragSwiper, otherSwiper);
+            }
+        }
+
+        // Only the axis of the list being moved counts until the gesture settles.
+        event.preventDefault();
+        wheel.position -= wheel.dragSwiper.getDirection() === 'horizontal' ? deltaX : deltaY;
+        wheel.dragSwiper.drag(wheel.position);
+
+        clearTimeout(wheel.settleTimer);
+        wheel.settleTimer = setTimeout(settleWheel, WHEEL_SETTLE_DELAY);
     };
 
     const handlePointerDown = (event) => {
 
-        if (event.button !== 0) return;
+        // Only the first pointer drags; a second finger does not take over or restart the drag.
+        if (!event.isPrimary || state.isDown || event.button !== 0) return;
 
-        Object.assign(state, { 
+        // Controls inside slides, like the play button of a video, handle their own presses.
+        if (event.target.closest && event.target.closest('.slide-control')) return;
+
+        // A pointer takes over from a wheel gesture that is still running.
+        if (wheel.dragSwiper) settleWheel();
+
+        Object.assign(state, {
             isDown: true,
+            pointerId: event.pointerId,
+            hasMoved: false,
             direction: null,
             startX: event.clientX,
             startY: event.clientY,
-            isDragStarted: false 
+            dragSwiper: null
         });
 
         screen.style.cursor = 'grabbing';
         screen.classList.add('is-dragging'); // Add dragging class on pointer down
+
+        // Captured pointer events are sent to the screen and bubble up to the window.
+        try {
+
+            screen.setPointerCapture(event.pointerId);
+
+        } catch (e) {
+            // The pointer is no longer active; without capture the window still gets its events over the page.
+        }
+
         window.addEventListener('pointermove', handlePointerMove);
         window.addEventListener('pointerup', handlePointerUp);
+        window.addEventListener('pointercancel', handlePointerCancel);
+        window.addEventListener('lostpointercapture', handlePointerCancel);
     };
 
     return {
-        attach: () => screen.addEventListener('pointerdown', handlePointerDown),
-        detach: () => screen.removeEventListener('pointerdown', handlePointerDown)
+        attach: () => {
+
+            screen.addEventListener('pointerdown', handlePointerDown);
+            // Not passive, so the page does not scroll while a list is moved.
+            screen.addEventListener('wheel', handleWheel, { passive: false });
+        },
+        detach: () => {
+
+            screen.removeEventListener('pointerdown', handlePointerDown);
+            screen.removeEventListener('wheel', handleWheel);
+            handlePointerCancel();
+            settleWheel();
+        }
     };
 }
@@ -1,3 +1,10 @@
+// Babel inlines this module into editor.html, so imports resolve relative to the page.
+import { validateGameData } from './js/game-schema.js';
+import { lintPuzzle, analyzeTree, isOrderedEvaluation } from './js/puzzle-validators.js';
+import { DEFAULT_HINT_BUDGET } from './js/hints.js';
+import { createSlideRenderer } from './js/slide-renderer.js';
+import { CREDIT_FIELDS } from './js/credits.js';
+
 const { useState, useEffect, useRef } = React;
 
 function generateUUID() {
@@ -7,6 +14,58 @@ function generateUUID() {
     );
 }
 
+// The same renderer draws the slides in the game.
+const slideRenderer = createSlideRenderer();
+
+// The content types a slide can have; an empty type is a plain image.
+const SLIDE_CONTENT_OPTIONS = [
+    ['', 'Image'],
+    ['image', 'Image with caption'],
+    ['text', 'Text'],
+    ['markdown', 'Markdown'],
+    ['math', 'Math (TeX)'],
+    ['audio', 'Audio clip'],
+    ['video', 'Video']
+];
+
+// The content field each type is edited with.
+const SLIDE_CONTENT_FIELDS = {
+    image: { name: 'caption', label: 'Caption' },
+    text: { name: 'text', label: 'Text', multiline: true },
+    markdown: { name: 'text', label: 'Markdown', multiline: true },
+    math: { name: 'tex', label: 'TeX', placeholder: 'E = mc^2' },
+    audio: { name: 'src', label: 'Audio Path', placeholder: 'path/to/clip.mp3' },
+    video: { name: 'src', label: 'Video Path', placeholder: 'path/to/clip.mp4' }
+};
+
+// How the editor shows the credit fields of a slide; a field without an entry is shown by its name.
+const CREDIT_FIELD_INPUTS = {
+    author: { label: 'Author', placeholder: 'Who made the image or media' },
+    license: { label: 'License', placeholder: 'CC BY-SA 4.0' },
+    source: { label: 'Source URL', placeholder: 'https://commons.wikimedia.org/...', type: 'url' }
+};
+
+const SLIDE_CREDIT_FIELDS = CREDIT_FIELDS.map(name => ({ name, label: name, type: 'text', ...CREDIT_FIELD_INPUTS[name] }));
+
+function SlidePreview({ slide }) {
+
+    const containerRef = useRef(null);
+
+    useEffect(() => {
+
+        if (containerRef.current) {
+
+            slideRenderer.render(containerRef.current, slide);
+        }
+    }, [slide]);
+
+    return (
+        <div className="slide-preview" aria-hidden="true">
+            <div ref={containerRef} className="slide" />
+        </div>
+    );
+}
+
 function SlideItem({ slide, index, onUpdate, onRemove, isNew }) {
 
     const nameInputRef = useRef(null);
@@ -16,6 +75,29 @@ function SlideItem({ slide, index, onUpdate, onRemove, isNew }) {
         onUpdate(index, { ...slide, [name]: value });
     };
 
+    const contentType = slide.content?.type || '';
+    const contentField = SLIDE_CONTENT_FIELDS[contentType];
+
+    const handleContentTypeChange = (e) => {
+        // A plain image needs no content; other types start empty.
+        const { content: _removed, ...rest } = slide;
+        onUpdate(index, e.target.value ? { ...rest, content: { type: e.target.value } } : rest);
+    };
+
+    const handleContentChange = (e) => {
+        const { name, value } = e.target;
+        onUpdate(index, { ...slide, content: { ...slide.content, [name]: value } });
+    };
+
+    const handleCreditChange = (e) => {
+        // Empty fields are left out, and so is a credit without any.
+        const { name, value } = e.target;
+        const { [name]: _removed, ...otherFields } = slide.credit || {};
+        const credit = value ? { ...otherFields, [name]: value } : otherFields;
+        const { credit: _previous, ...rest } = slide;
+        onUpdate(index, Object.keys(credit).length > 0 ? { ...rest, credit } : rest);
+    };
+
     useEffect(() => {
         // If this is a newly added slide, focus its name input
         if (isNew && nameInputRef.current) {
@@ -41,7 +123,24 @@ function SlideItem({ slide, index, onUpdate, onRemove, isNew }) {
                 />
             </div>
             <div className="form-group">
-                <label htmlFor={`slide-img-${index}`}>Image Path</label>
+                <label htmlFor={`slide-content-type-${index}`}>Content</label>
+                <select id={`slide-content-type-${index}`} value={contentType} onChange={handleContentTypeChange}>
+                    {SLIDE_CONTENT_OPTIONS.map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+                </select>
+            </div>
+            {contentField && (
+                <div className="form-group">
+                    <label htmlFor={`slide-content-${index}`}>{contentField.label}</label>
+                    {contentField.multiline ? (
+                        <textarea id={`slide-content-${index}`} name={contentField.name} value={slide.content[contentField.name] || ''} onChange={handleContentChange} />
+                    ) : (
+                        <input type="text" id={`slide-content-${index}`} name={contentField.name} value={slide.content[contentField.name] || ''} placeholder={contentField.placeholder} onChange={handleContentChange} />
+                    )}
+                </div>
+            )}
+            <div className="form-group">
+                {/* Audio clips show the image while they play, videos before they play. */}
+                <label htmlFor={`slide-img-${index}`}>{contentType === 'audio' ? 'Cover Image Path' : contentType === 'video' ? 'Poster Image Path' : 'Image Path'}</label>
                 <input
                     type="text"
                     id={`slide-img-${index}`}
@@ -51,17 +150,126 @@ function SlideItem({ slide, index, onUpdate, onRemove, isNew }) {
                     onChange={handleInputChange}
                 />
             </div>
+            <fieldset className="slide-credit">
+                <legend>Credit</legend>
+                {SLIDE_CREDIT_FIELDS.map(field => (
+                    <div className="form-group" key={field.name}>
+                        <label htmlFor={`slide-credit-${field.name}-${index}`}>{field.label}</label>
+                        <input
+                            type={field.type}
+                            id={`slide-credit-${field.name}-${index}`}
+                            name={field.name}
+                            value={slide.credit?.[field.name] || ''}
+                            placeholder={field.placeholder}
+                            onChange={handleCreditChange}
+                        />
+                    </div>
+                ))}
+            </fieldset>
+            <SlidePreview slide={slide} />
             <small className="item-id">{slide.id}</small>
         </div>
     );
 }
 
-function MatchEditor({ puzzle, onUpdate, sliders }) {
+function LintFindings({ findings }) {
+
+    if (!findings || findings.length === 0) return null;
+
+    return (
+        <ul className="lint-findings">
+            {findings.map((finding, index) => (
+                <li key={index} className={`lint-${finding.severity}`}>{finding.message}</li>
+            ))}
+        </ul>
+    );
+}
+
+/**
+ * Shows the tree a set of matches describes, from the root down, so authors can check the parent/child direction.
+ */
+function TreePreview({ matches, root, slideName }) {
+
+    const pairs = matches.map(m => m.match);
+
+    if (pairs.length === 0) return null;
+
+    const tree = analyzeTree(pairs, root);
+
+    if (!tree) {
+
+        return <p className="tree-preview">The matches do not form a tree yet.</p>;
+    }
+
+    const renderNode = (node) => {
+
+        const children = pairs.filter(([parent]) => parent === node).map(([, child]) => child);
+
+        return (
+            <li key={node}>
+                {slideName(node)}
+                {children.length > 0 && <ul>{children.map(renderNode)}</ul>}
+            </li>
+        );
+    };
+
+    return (
+        <div className="tree-preview">
+            <h4>Expected tree</h4>
+            <ul>{renderNode(tree.root)}</ul>
+        </div>
+    );
+}
+
+function MatchEditor({ puzzle, onUpdate, sliders, slideName }) {
 
     const [sourceSlideId, setSourceSlideId] = useState(null);
+    // 0 edits the puzzle's own matches, 1 and up edit its alternative solution sets.
+    const [activeSetIndex, setActiveSetIndex] = useState(0);
     const matchContainerRef = useRef(null);
     const [lines, setLines] = useState([]);
 
+    const alternatives = (puzzle && puzzle.alternatives) || [];
+    const setIndex = Math.min(activeSetIndex, alternatives.length);
+    const activeMatches = !puzzle ? [] : setIndex === 0 ? (puzzle.matches || []) : (alternatives[setIndex - 1].matches || []);
+
+    // Writes the matches of the solution set being edited back to the puzzle.
+    const updateActiveMatches = (matches) => {
+
+        if (setIndex === 0) {
+
+            onUpdate({ ...puzzle, matches });
+
+            return;
+        }
+
+        onUpdate({ ...puzzle, alternatives: alternatives.map((alt, i) => (i === setIndex - 1 ? { ...alt, matches } : alt)) });
+    };
+
+    const addAlternative = () => {
+
+        onUpdate({ ...puzzle, alternatives: [...alternatives, { matches: [] }] });
+        setActiveSetIndex(alternatives.length + 1);
+        setSourceSlideId(null);
+    };
+
+    const removeAlternative = () => {
+
+        const remaining = alternatives.filter((_, i) => i !== setIndex - 1);
+        const { alternatives: _removed, ...rest } = puzzle;
+
+        // A puzzle without alternatives does not write an empty list to the game file.
+        onUpdate(remaining.length > 0 ? { ...rest, alternatives: remaining } : rest);
+        setActiveSetIndex(setIndex - 1);
+        setSourceSlideId(null);
+    };
+
+    const selectSet = (index) => {
+
+        setActiveSetIndex(index);
+        setSourceSlideId(null);
+    };
+
     // Refactored to be more robust. It can handle missing or incomplete slider props.
     const slider1 = sliders && sliders.length > 0 ? sliders[0] : null;
     const slider2 = sliders && sliders.length > 1 ? sliders[1] : null;
@@ -73,7 +281,7 @@ function MatchEditor({ puzzle, onUpdate, sliders }) {
         const container = matchContainerRef.current;
 
         const newLines = [];
-        (puzzle.matches || []).forEach((match, i) => {
+        activeMatches.forEach((match, i) => {
 
             const [sourceId, targetId] = match.match;
 
@@ -103,7 +311,7 @@ function MatchEditor({ puzzle, onUpdate, sliders }) {
 
         setLines(newLines);
 
-    }, [puzzle, slider1, slider2]); // Rerun only when the data changes.
+    }, [puzzle, slider1, slider2, setIndex]); // Rerun only when the data changes.
 
     if (!puzzle) {
 
@@ -133,18 +341,18 @@ function MatchEditor({ puzzle, onUpdate, sliders }) {
         const targetSlideId = slideId;
 
         // Check if this exact match already exists.
-        const existingMatchIndex = puzzle.matches.findIndex(m =>
+        const existingMatchIndex = activeMatches.findIndex(m =>
             (m.match[0] === sourceSlideId && m.match[1] === targetSlideId) ||
             (m.match[1] === sourceSlideId && m.match[0] === targetSlideId)
         );
 
         if (existingMatchIndex > -1) {
             // If the match exists, remove it (undo).
-            onUpdate({ ...puzzle, matches: puzzle.matches.filter((_, i) => i !== existingMatchIndex) });
+            updateActiveMatches(activeMatches.filter((_, i) => i !== existingMatchIndex));
 
         } else {
             // If the match does not exist, create it.
-            onUpdate({ ...puzzle, matches: [...puzzle.matches, { match: [sourceSlideId, targetSlideId] }] });
+            updateActiveMatches([...activeMatches, { match: [sourceSlideId, targetSlideId] }]);
         }
 
         // Reset the source selection after any action (create or undo).
@@ -154,11 +362,11 @@ function MatchEditor({ puzzle, onUpdate, sliders }) {
     // Create a map of slide IDs to their order number for ordered puzzles.
     const slideOrderMap = new Map();
 
-    if (puzzle.evaluation === 'ordered') {
+    if (isOrderedEvaluation(puzzle.evaluation)) {
 
         let orderCounter = 1;
 
-        (puzzle.matches || []).forEach(match => {
+        activeMatches.forEach(match => {
 
             const [sourceId, targetId] = match.match;
 
@@ -198,6 +406,18 @@ function MatchEditor({ puzzle, onUpdate, sliders }) {
     return (
         <div className="form-section matches">
             <h3>Matches for "{puzzle.puzzletitle || 'Untitled Puzzle'}"</h3>
+            <div className="editor-tabs solution-set-tabs" role="tablist" aria-label="Solution sets">
+                <button className={`tab-button ${setIndex === 0 ? 'active' : ''}`} role="tab" aria-selected={setIndex === 0} onClick={() => selectSet(0)}>Solution</button>
+                {alternatives.map((_, i) => (
+                    <button key={i} className={`tab-button ${setIndex === i + 1 ? 'active' : ''}`} role="tab" aria-selected={setIndex === i + 1} onClick={() => selectSet(i + 1)}>
+                        Alternative {i + 1}
+                    </button>
+                ))}
+                <button className="tab-button" onClick={addAlternative} title="Add another set of matches that also solves the puzzle">+ Alternative</button>
+                {setIndex > 0 && (
+                    <button onClick={removeAlternative} className="remove-button" title="Remove Alternative"><img src="style/trash.svg" alt="Remove" /></button>
+                )}
+            </div>
             <div className="match-editor-container" ref={matchContainerRef}>
                 {renderSlideList(slider1, "left")}
                 <svg className="match-lines">
@@ -208,23 +428,54 @@ function MatchEditor({ puzzle, onUpdate, sliders }) {
                     </defs>
                     {lines.map(line => (
                         <line key={line.key} x1={line.x1} y1={line.y1} x2={line.x2} y2={line.y2}
-                            markerEnd={puzzle.evaluation === 'ordered' ? "url(#arrowhead)" : "none"} />
+                            markerEnd={isOrderedEvaluation(puzzle.evaluation) || puzzle.type === 'tree' ? "url(#arrowhead)" : "none"} />
                     ))}
                 </svg>
                 {renderSlideList(slider2, "right")}
             </div>
+            {puzzle.type === 'tree' && <TreePreview matches={activeMatches} root={puzzle.root} slideName={slideName} />}
+            <LintFindings findings={lintPuzzle(puzzle, { slideName })} />
         </div>
     );
 }
 
-function PuzzleItem({ puzzle, index, onUpdate, onRemove, allSlides, onSelect, isSelected }) {
+function PuzzleItem({ puzzle, index, puzzles, onUpdate, onRemove, allSlides, onSelect, isSelected, slideName }) {
 
     const handleInputChange = (e) => {
 
         const { name, value } = e.target;
+
+        if (name === 'root' && value === '') {
+            // Without a root the tree's root is derived from the matches.
+            const { root: _removed, ...rest } = puzzle;
+            onUpdate(index, rest);
+
+            return;
+        }
+
+        if (e.target.type === 'checkbox') {
+            // Only a setting that differs from its default (false) is written to the game file.
+            const { [name]: _removed, ...rest } = puzzle;
+            onUpdate(index, e.target.checked ? { ...rest, [name]: true } : rest);
+
+            return;
+        }
+
         onUpdate(index, { ...puzzle, [name]: value });
     };
 
+    const handleRequiresChange = (puzzleId, isRequired) => {
+
+        const requires = (puzzle.requires || []).filter(id => id !== puzzleId).concat(isRequired ? [puzzleId] : []);
+        // A puzzle without requirements is unlocked from the start and needs no key.
+        const { requires: _removed, ...rest } = puzzle;
+        onUpdate(index, requires.length > 0 ? { ...rest, requires } : rest);
+    };
+
+    const otherPuzzles = puzzles.filter(other => other.puzzle_id !== puzzle.puzzle_id);
+
+    const matchedSlideIds = Array.from(new Set((puzzle.matches || []).flatMap(m => m.match)));
+
     return (
         <div className={`list-item ${isSelected ? 'selected' : ''}`} onClick={() => onSelect(index)}>
             <div className="item-header">
@@ -246,26 +497,65 @@ function PuzzleItem({ puzzle, index, onUpdate, onRemove, allSlides, onSelect, is
                     <option value="chain">Chain (A-B, B-C)</option>
                     <option value="ring">Ring (A-B, B-C, C-A)</option>
                     <option value="star">Star (Multiple to one)</option>
+                    <option value="group">Group (Several hubs, each with several spokes)</option>
+                    <option value="tree">Tree (Root with branches)</option>
                 </select>
             </div>
+            {puzzle.type === 'tree' && (
+                <div className="form-group">
+                    <label htmlFor={`puzzle-root-${index}`}>Root Slide</label>
+                    <select id={`puzzle-root-${index}`} name="root" value={puzzle.root || ''} onChange={handleInputChange}>
+                        <option value="">-- From the matches --</option>
+                        {matchedSlideIds.map(slideId => <option key={slideId} value={slideId}>{slideName(slideId)}</option>)}
+                    </select>
+                </div>
+            )}
             <div className="form-group">
                 <label htmlFor={`puzzle-evaluation-${index}`}>Evaluation Rule</label>
-                <select id={`puzzle-evaluation-${index}`} name="evaluation" value={puzzle.evaluation || 'unordered'} onChange={handleInputChange}>
+                {/* Groups are always checked without order. */}
+                <select id={`puzzle-evaluation-${index}`} name="evaluation" value={puzzle.evaluation || 'unordered'} onChange={handleInputChange} disabled={puzzle.type === 'group'}>
                     <option value="unordered">Unordered</option>
                     <option value="ordered">Ordered</option>
+                    <option value="ordered-any-start">Ordered, any start (e.g. a ring from any slide)</option>
+                    <option value="ordered-either-direction">Ordered, either direction (e.g. a chain from either end)</option>
                 </select>
             </div>
+            {(puzzle.type === 'chain' || puzzle.type === 'ring') && (puzzle.evaluation || 'unordered') === 'unordered' && (
+                <div className="form-group">
+                    <label htmlFor={`puzzle-strict-${index}`}>
+                        <input type="checkbox" id={`puzzle-strict-${index}`} name="strict" checked={puzzle.strict === true} onChange={handleInputChange} />
+                        Strict: only the authored slides solve the puzzle, not any {puzzle.type} of the same length
+                    </label>
+                </div>
+            )}
+            {otherPuzzles.length > 0 && (
+                <fieldset className="form-group puzzle-requires">
+                    <legend>Requires (solve these first to unlock)</legend>
+                    {otherPuzzles.map(other => (
+                        <label key={other.puzzle_id} htmlFor={`puzzle-requires-${index}-${other.puzzle_id}`}>
+                            <input
+                                type="checkbox"
+                                id={`puzzle-requires-${index}-${other.puzzle_id}`}
+                                checked={(puzzle.requires || []).includes(other.puzzle_id)}
+                                onChange={(e) => handleRequiresChange(other.puzzle_id, e.target.checked)}
+                            />
+                            {other.puzzletitle || other.puzzle_id}
+                        </label>
+                    ))}
+                </fieldset>
+            )}
+            <LintFindings findings={lintPuzzle(puzzle, { slideName })} />
         </div>
     );
 }
 
-function PuzzleList({ puzzles, onAdd, onUpdate, onRemove, onSelect, selectedIndex }) {
+function PuzzleList({ puzzles, onAdd, onUpdate, onRemove, onSelect, selectedIndex, slideName }) {
 
     return (
         <div className="form-section puzzles">
             <h3>Puzzles</h3>
             {puzzles.map((puzzle, index) => (
-                <PuzzleItem key={index} puzzle={puzzle} index={index} onUpdate={onUpdate} onRemove={onRemove} onSelect={onSelect} isSelected={index === selectedIndex} />
+                <PuzzleItem key={index} puzzle={puzzle} index={index} puzzles={puzzles} onUpdate={onUpdate} onRemove={onRemove} onSelect={onSelect} isSelected={index === selectedIndex} slideName={slideName} />
             ))}
             <button onClick={onAdd}>Add New Puzzle</button>
         </div>
@@ -277,6 +567,15 @@ function SlideGroupItem({ group, index, onUpdate, onRemove, onSelect, isSelected
     const handleInputChange = (e) => {
 
         const { name, value } = e.target;
+
+        if (e.target.type === 'checkbox') {
+            // Groups loop by default, so only a group that does not is written with `wrap: false`.
+            const { wrap: _removed, ...rest } = group;
+            onUpdate(index, e.target.checked ? rest : { ...rest, wrap: false });
+
+            return;
+        }
+
         onUpdate(index, { ...group, [name]: value });
     };
 
@@ -294,6 +593,12 @@ function SlideGroupItem({ group, index, onUpdate, onRemove, onSelect, isSelected
                 placeholder="Enter group name..."
                 onChange={handleInputChange}
             />
+            <div className="form-group">
+                <label htmlFor={`group-wrap-${index}`}>
+                    <input type="checkbox" id={`group-wrap-${index}`} name="wrap" checked={group.wrap !== false} onChange={handleInputChange} />
+                    Loop: the last slide is followed by the first
+                </label>
+            </div>
             {/* Placeholder for slides within this group */}
             <div className="nested-list-placeholder">
                 <p>{group.slides.length} slide(s) in this group.</p>
@@ -393,6 +698,9 @@ function PuzzleSlotItem({ slot, index, onUpdate, onRemove, onDirectionChange, pu
                     <label>Guest Group</label>{slideGroups.find(g => g.group_id === puzzle?.guest_group_id)?.group_name || 'N/A'}
                 </div>
             </div>
+            {puzzle?.type === 'group' && (
+                <p className="slot-note">In this group puzzle each host slide can be matched with several guest slides.</p>
+            )}
 
             <div className="form-row">
                 <div className="form-group">
@@ -658,6 +966,26 @@ function LayoutVisualizer({
     );
 }
 
+function ValidationPanel({ gameData }) {
+
+    const { valid, errors } = validateGameData(gameData);
+
+    return (
+        <div className="form-section validation">
+            <h3>Validation</h3>
+            {valid ? (
+                <p className="validation-ok">The game file is valid.</p>
+            ) : (
+                <ul className="validation-errors">
+                    {errors.map((error, index) => (
+                        <li key={`${error.path}-${index}`}><code>{error.path}</code> {error.message}</li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
 function AdvancedEditor() {
 
     const [availableGames, setAvailableGames] = useState([]);
@@ -754,6 +1082,30 @@ function AdvancedEditor() {
 
         const { name, value } = e.target;
 
+        if (e.target.type === 'number') {
+            // An empty number field removes the setting, so the game falls back to its default.
+            setGameData(prev => {
+
+                const { [name]: _removed, ...rest } = prev;
+
+                return value === '' ? rest : { ...rest, [name]: parseInt(value, 10) };
+            });
+
+            return;
+        }
+
+        if (e.target.type === 'checkbox') {
+            // Only a setting that differs from its default (true) is written to the game file.
+            setGameData(prev => {
+
+                const { [name]: _removed, ...rest } = prev;
+
+                return e.target.checked ? rest : { ...rest, [name]: false };
+            });
+
+            return;
+        }
+
         setGameData(prev => ({
             ...prev,
             [name]: value
@@ -792,7 +1144,22 @@ function AdvancedEditor() {
             setSelectedPuzzleIndex(0);
         }
 
-        setGameData(prev => ({ ...prev, puzzles: prev.puzzles.filter((_, i) => i !== index) }));
+        setGameData(prev => {
+
+            const removedId = prev.puzzles[index]?.puzzle_id;
+            // The other puzzles no longer wait for the removed one.
+            const puzzles = prev.puzzles.filter((_, i) => i !== index).map(puzzle => {
+
+                if (!(puzzle.requires || []).includes(removedId)) return puzzle;
+
+                const { requires, ...rest } = puzzle;
+                const remaining = requires.filter(id => id !== removedId);
+
+                return remaining.length > 0 ? { ...rest, requires: remaining } : rest;
+            });
+
+            return { ...prev, puzzles };
+        });
     };
 
     const addSlideGroup = () => {
@@ -987,6 +1354,10 @@ function AdvancedEditor() {
     const sourceGroupForMatch = gameData.slide_groups.find(g => g.group_id === sourceGroupId) || { id: '', slidertitle: 'Select Source', slides: [] };
     const targetGroupForMatch = gameData.slide_groups.find(g => g.group_id === targetGroupId) || { id: '', slidertitle: 'Select Target', slides: [] };
 
+    // Lint messages refer to slides by name rather than by id.
+    const slideNames = new Map(gameData.slide_groups.flatMap(g => g.slides.map(slide => [slide.id, slide.name || slide.id])));
+    const slideName = (slideId) => slideNames.get(slideId) || slideId;
+
     const virtualSlidersForMatchEditor = [
         {
             id: sourceGroupForMatch.group_id,
@@ -1040,6 +1411,30 @@ function AdvancedEditor() {
                         onChange={handleMainInputChange}
                     />
                 </div>
+                <div className="form-group">
+                    <label htmlFor="adv-hintbudget">Hint Budget</label>
+                    <input
+                        type="number"
+                        id="adv-hintbudget"
+                        name="hint_budget"
+                        value={gameData.hint_budget ?? ''}
+                        placeholder={String(DEFAULT_HINT_BUDGET)}
+                        min="0"
+                        onChange={handleMainInputChange}
+                    />
+                </div>
+                <div className="form-group">
+                    <label htmlFor="adv-submitfeedback">
+                        <input
+                            type="checkbox"
+                            id="adv-submitfeedback"
+                            name="submit_feedback"
+                            checked={gameData.submit_feedback !== false}
+                            onChange={handleMainInputChange}
+                        />
+                        Show correct and wrong matches after a wrong submission
+                    </label>
+                </div>
             </div>
 
             <div className="output-section">
@@ -1084,6 +1479,7 @@ function AdvancedEditor() {
                 onRemove={removePuzzle}
                 onSelect={setSelectedPuzzleIndex}
                 selectedIndex={selectedPuzzleIndex}
+                slideName={slideName}
             />
 
             <div className="form-section matches">
@@ -1096,13 +1492,15 @@ function AdvancedEditor() {
                         {gameData.slide_groups.map(g => (<option key={`target-${g.group_id}`} value={g.group_id}>{g.group_name}</option>))}
                     </select>
                 </div>
-                <MatchEditor puzzle={selectedPuzzle} onUpdate={(updated) => updatePuzzle(selectedPuzzleIndex, updated)} sliders={virtualSlidersForMatchEditor} />
+                <MatchEditor puzzle={selectedPuzzle} onUpdate={(updated) => updatePuzzle(selectedPuzzleIndex, updated)} sliders={virtualSlidersForMatchEditor} slideName={slideName} />
             </div>
 
             <div className="form-section layout-section">
                 <LayoutEditor layout={gameData.layout} puzzles={gameData.puzzles} slideGroups={gameData.slide_groups} onUpdate={updateLayout} /> 
                 <LayoutVisualizer layout={gameData.layout} slideGroups={gameData.slide_groups} />
             </div>
+
+            <ValidationPanel gameData={gameData} />
         </div>
     );
 }
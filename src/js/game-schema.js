@@ -0,0 +1,413 @@
+/**
+ * The versioned JSON Schema for match-locker game files, and a validator that checks
+ * game data against it. The validator has no dependencies so it can run in the game,
+ * in the editor and in Node.
+ */
+
+export const GAME_SCHEMA_VERSION = 1;
+
+// Typed slide content, see `slide-renderer.js`. Which fields a type needs is checked with the references.
+const slideContentSchema = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+        type: { enum: ['image', 'text', 'markdown', 'math', 'audio', 'video'] },
+        text: { type: 'string' },
+        tex: { type: 'string' },
+        src: { type: 'string' },
+        caption: { type: 'string' }
+    }
+};
+
+// The field each content type cannot do without.
+const CONTENT_REQUIRED_FIELDS = { text: 'text', markdown: 'text', math: 'tex', audio: 'src', video: 'src' };
+
+// Attribution for the slide's media, see `credits.js`.
+const slideCreditSchema = {
+    type: 'object',
+    properties: {
+        author: { type: 'string' },
+        license: { type: 'string' },
+        source: { type: 'string' }
+    }
+};
+
+const slideSchema = {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: {
+        id: { type: 'string', minLength: 1 },
+        name: { type: 'string' },
+        img: { type: 'string' },
+        content: slideContentSchema,
+        credit: slideCreditSchema
+    }
+};
+
+const slideGroupSchema = {
+    type: 'object',
+    required: ['group_id', 'slides'],
+    properties: {
+        group_id: { type: 'string', minLength: 1 },
+        group_name: { type: 'string' },
+        wrap: { type: 'boolean' },
+        slides: { type: 'array', items: slideSchema }
+    }
+};
+
+const matchSchema = {
+    type: 'object',
+    required: ['match'],
+    properties: {
+        match: {
+            type: 'array',
+            minItems: 2,
+            maxItems: 2,
+            items: { type: 'string', minLength: 1 }
+        }
+    }
+};
+
+// An alternative accepted answer: another set of matches that also solves the puzzle.
+const alternativeSchema = {
+    type: 'object',
+    required: ['matches'],
+    properties: {
+        matches: { type: 'array', items: matchSchema }
+    }
+};
+
+const puzzleSchema = {
+    type: 'object',
+    required: ['puzzle_id'],
+    properties: {
+        puzzle_id: { type: 'string', minLength: 1 },
+        puzzletitle: { type: 'string' },
+        instructions: { type: 'string' },
+        type: { enum: ['set', 'chain', 'ring', 'star', 'group', 'tree'] },
+        root: { type: 'string', minLength: 1 },
+        strict: { type: 'boolean' },
+        requires: { type: 'array', items: { type: 'string', minLength: 1 } },
+        evaluation: { enum: ['unordered', 'ordered', 'ordered-any-start', 'ordered-either-direction'] },
+        host_group_id: { type: 'string' },
+        guest_group_id: { type: 'string' },
+        matches: { type: 'array', items: matchSchema },
+        alternatives: { type: 'array', items: alternativeSchema }
+    }
+};
+
+const puzzleSlotSchema = {
+    type: 'object',
+    required: ['activates_puzzle_id', 'host_group_id', 'guest_group_id', 'at_index'],
+    properties: {
+        slot_id: { type: 'string' },
+        activates_puzzle_id: { type: 'string', minLength: 1 },
+        host_group_id: { type: 'string', minLength: 1 },
+        guest_group_id: { type: 'string', minLength: 1 },
+        at_index: { type: 'integer', minimum: 0 },
+        guest_align_index: { type: 'integer', minimum: 0 },
+        host_direction: { enum: ['horizontal', 'vertical'] },
+        guest_direction: { enum: ['horizontal', 'vertical'] }
+    }
+};
+
+/**
+ * JSON Schema (draft-07) describing a game file.
+ */
+export const gameSchema = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `match-locker/game/v${GAME_SCHEMA_VERSION}`,
+    title: 'Match-locker game',
+    type: 'object',
+    required: ['gametitle', 'slide_groups', 'puzzles', 'layout'],
+    properties: {
+        schema_version: { type: 'integer', enum: [GAME_SCHEMA_VERSION] },
+        gametitle: { type: 'string' },
+        description: { type: 'string' },
+        hint_budget: { type: 'integer', minimum: 0 },
+        submit_feedback: { type: 'boolean' },
+        slide_groups: { type: 'array', items: slideGroupSchema },
+        puzzles: { type: 'array', items: puzzleSchema },
+        layout: {
+            type: 'object',
+            required: ['puzzle_slots'],
+            properties: {
+                puzzle_slots: { type: 'array', items: puzzleSlotSchema }
+            }
+        }
+    }
+};
+
+const typeOf = (value) => {
+
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+
+    const actual = typeOf(value);
+
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validates a value against the subset of JSON Schema used by `gameSchema`
+ * (type, enum, required, properties, items, minItems, maxItems, minLength, minimum).
+ * @param {*} value - The value to validate.
+ * @param {object} schema - The schema to validate against.
+ * @param {string} path - The JSON path of the value.
+ * @param {Array<object>} errors - Errors are appended to this array.
+ */
+const validateAgainstSchema = (value, schema, path, errors) => {
+
+    if (schema.type && !matchesType(value, schema.type)) {
+
+        errors.push({ path, message: `Expected ${schema.type} but found ${typeOf(value)}.` });
+
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+
+        errors.push({ path, message: `Expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')} but found ${JSON.stringify(value)}.` });
+    }
+
+    if (schema.minLength !== undefined && typeof value === 'string' && value.length < schema.minLength) {
+
+        errors.push({ path, message: 'Must not be empty.' });
+    }
+
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+
+        errors.push({ path, message: `Must be at least ${schema.minimum}.` });
+    }
+
+    if (Array.isArray(value)) {
+
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+
+            errors.push({ path, message: `Must contain at least ${schema.minItems} item(s).` });
+        }
+
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+
+            errors.push({ path, message: `Must contain at most ${schema.maxItems} item(s).` });
+        }
+
+        if (schema.items) {
+
+            value.forEach((item, i) => validateAgainstSchema(item, schema.items, `${path}[${i}]`, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+
+        (schema.required || []).forEach(key => {
+
+            if (value[key] === undefined) {
+
+                errors.push({ path: `${path}.${key}`, message: 'Is required.' });
+            }
+        });
+
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+
+            if (value[key] !== undefined) {
+
+                validateAgainstSchema(value[key], propertySchema, `${path}.${key}`, errors);
+            }
+        });
+    }
+};
+
+/**
+ * Checks the references between the parts of a structurally valid game:
+ * unique ids, slides used in matches, groups used by puzzles, puzzles and groups used in the layout,
+ * and slot indices within the slide count of their groups.
+ * @param {object} gameData - The game data.
+ * @param {Array<object>} errors - Errors are appended to this array.
+ */
+const validateReferences = (gameData, errors) => {
+
+    const slideIds = new Set();
+    const groupSlideCounts = new Map();
+
+    gameData.slide_groups.forEach((group, g) => {
+
+        if (groupSlideCounts.has(group.group_id)) {
+
+            errors.push({ path: `$.slide_groups[${g}].group_id`, message: `Duplicate group id "${group.group_id}".` });
+        }
+
+        groupSlideCounts.set(group.group_id, group.slides.length);
+
+        group.slides.forEach((slide, s) => {
+            // The same slide may appear in several groups, but not twice in one group.
+            if (group.slides.findIndex(other => other.id === slide.id) !== s) {
+
+                errors.push({ path: `$.slide_groups[${g}].slides[${s}].id`, message: `Duplicate slide id "${slide.id}" in group.` });
+            }
+
+            const requiredField = slide.content && CONTENT_REQUIRED_FIELDS[slide.content.type];
+
+            if (requiredField && !slide.content[requiredField]) {
+
+                errors.push({ path: `$.slide_groups[${g}].slides[${s}].content.${requiredField}`, message: `A ${slide.content.type} slide needs "${requiredField}".` });
+            }
+
+            // The credits screen links to the source, so it has to be a web address.
+            if (slide.credit?.source && !/^https?:\/\//i.test(slide.credit.source)) {
+
+                errors.push({ path: `$.slide_groups[${g}].slides[${s}].credit.source`, message: 'Must be an http or https address.' });
+            }
+
+            slideIds.add(slide.id);
+        });
+    });
+
+    const puzzleIds = new Set();
+
+    gameData.puzzles.forEach((puzzle, p) => {
+
+        if (puzzleIds.has(puzzle.puzzle_id)) {
+
+            errors.push({ path: `$.puzzles[${p}].puzzle_id`, message: `Duplicate puzzle id "${puzzle.puzzle_id}".` });
+        }
+
+        puzzleIds.add(puzzle.puzzle_id);
+
+        const checkMatches = (matches, matchesPath) => {
+
+            (matches || []).forEach((match, m) => {
+
+                match.match.forEach((slideId, i) => {
+
+                    if (!slideIds.has(slideId)) {
+
+                        errors.push({ path: `${matchesPath}[${m}].match[${i}]`, message: `Unknown slide id "${slideId}".` });
+                    }
+                });
+            });
+        };
+
+        checkMatches(puzzle.matches, `$.puzzles[${p}].matches`);
+
+        if (puzzle.root !== undefined && !slideIds.has(puzzle.root)) {
+
+            errors.push({ path: `$.puzzles[${p}].root`, message: `Unknown slide id "${puzzle.root}".` });
+        }
+
+        // The groups a puzzle matches between are optional; the editor leaves them empty until they are picked.
+        ['host_group_id', 'guest_group_id'].forEach(key => {
+
+            if (puzzle[key] && !groupSlideCounts.has(puzzle[key])) {
+
+                errors.push({ path: `$.puzzles[${p}].${key}`, message: `Unknown slide group id "${puzzle[key]}".` });
+            }
+        });
+
+        (puzzle.alternatives || []).forEach((alternative, a) => checkMatches(alternative.matches, `$.puzzles[${p}].alternatives[${a}].matches`));
+    });
+
+    gameData.puzzles.forEach((puzzle, p) => {
+
+        (puzzle.requires || []).forEach((puzzleId, r) => {
+
+            if (!puzzleIds.has(puzzleId)) {
+
+                errors.push({ path: `$.puzzles[${p}].requires[${r}]`, message: `Unknown puzzle id "${puzzleId}".` });
+            }
+        });
+    });
+
+    // A puzzle that requires itself, directly or through others, could never be unlocked.
+    const requiresById = new Map(gameData.puzzles.map(puzzle => [puzzle.puzzle_id, puzzle.requires || []]));
+
+    const requiresItself = (puzzleId) => {
+
+        const visited = new Set();
+        const stack = [...(requiresById.get(puzzleId) || [])];
+
+        while (stack.length > 0) {
+
+            const current = stack.pop();
+
+            if (current === puzzleId) return true;
+            if (visited.has(current)) continue;
+
+            visited.add(current);
+            stack.push(...(requiresById.get(current) || []));
+        }
+
+        return false;
+    };
+
+    gameData.puzzles.forEach((puzzle, p) => {
+
+        if (requiresItself(puzzle.puzzle_id)) {
+
+            errors.push({ path: `$.puzzles[${p}].requires`, message: `Puzzle "${puzzle.puzzle_id}" requires itself; the requirements form a cycle.` });
+        }
+    });
+
+    gameData.layout.puzzle_slots.forEach((slot, s) => {
+
+        const slotPath = `$.layout.puzzle_slots[${s}]`;
+
+        if (!puzzleIds.has(slot.activates_puzzle_id)) {
+
+            errors.push({ path: `${slotPath}.activates_puzzle_id`, message: `Unknown puzzle id "${slot.activates_puzzle_id}".` });
+        }
+
+        const hostSlideCount = groupSlideCounts.get(slot.host_group_id);
+        const guestSlideCount = groupSlideCounts.get(slot.guest_group_id);
+
+        if (hostSlideCount === undefined) {
+
+            errors.push({ path: `${slotPath}.host_group_id`, message: `Unknown slide group id "${slot.host_group_id}".` });
+
+        } else if (slot.at_index >= hostSlideCount) {
+
+            errors.push({ path: `${slotPath}.at_index`, message: `Index ${slot.at_index} is out of range; the host group has ${hostSlideCount} slide(s).` });
+        }
+
+        if (guestSlideCount === undefined) {
+
+            errors.push({ path: `${slotPath}.guest_group_id`, message: `Unknown slide group id "${slot.guest_group_id}".` });
+
+        } else if ((slot.guest_align_index || 0) >= guestSlideCount) {
+
+            errors.push({ path: `${slotPath}.guest_align_index`, message: `Index ${slot.guest_align_index} is out of range; the guest group has ${guestSlideCount} slide(s).` });
+        }
+
+        if (slot.host_group_id === slot.guest_group_id) {
+
+            errors.push({ path: `${slotPath}.guest_group_id`, message: 'The guest group must differ from the host group.' });
+        }
+    });
+};
+
+/**
+ * Validates game data against the game schema and checks its internal references.
+ * @param {object} gameData - The raw JSON data for a game.
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}} The validation result.
+ * Each error carries the JSON path of the offending value, e.g. `$.layout.puzzle_slots[0].at_index`.
+ */
+export const validateGameData = (gameData) => {
+
+    const errors = [];
+
+    validateAgainstSchema(gameData, gameSchema, '$', errors);
+
+    // Reference checks assume the structure is sound, so they only run when it is.
+    if (errors.length === 0) {
+
+        validateReferences(gameData, errors);
+    }
+
+    return { valid: errors.length === 0, errors };
+};
@@ -0,0 +1,203 @@
+/**
+ * Statistics for a game in progress: time, match toggles and wrong submissions per puzzle,
+ * and the score computed from them and the hints used.
+ * Stats are plain objects so they can be saved with the rest of the game progress.
+ */
+
+/**
+ * The points a solved puzzle is worth, and what is deducted from them.
+ */
+export const SCORING = {
+    solvedPuzzle: 1000,
+    minimumPerPuzzle: 100,
+    perExtraToggle: 10,
+    perWrongSubmission: 100,
+    perHint: 150,
+    perTenSeconds: 5
+};
+
+/**
+ * Creates empty stats for a new game.
+ * @returns {{timeMs: number, puzzles: object}}
+ */
+export const createGameStats = () => ({
+    timeMs: 0,
+    puzzles: {}
+});
+
+/**
+ * Gets the stats of one puzzle, creating them on first use.
+ * @param {object} stats - The game stats.
+ * @param {string} puzzleId - The puzzle id.
+ * @returns {{timeMs: number, toggles: number, wrongSubmissions: number}}
+ */
+export const getPuzzleStats = (stats, puzzleId) => {
+
+    if (!stats.puzzles[puzzleId]) {
+
+        stats.puzzles[puzzleId] = { timeMs: 0, toggles: 0, wrongSubmissions: 0 };
+    }
+
+    return stats.puzzles[puzzleId];
+};
+
+/**
+ * Records that the player made or removed a match.
+ */
+export const recordToggle = (stats, puzzleId) => {
+
+    getPuzzleStats(stats, puzzleId).toggles++;
+};
+
+/**
+ * Records that the player submitted a puzzle that was not solved.
+ */
+export const recordWrongSubmission = (stats, puzzleId) => {
+
+    getPuzzleStats(stats, puzzleId).wrongSubmissions++;
+};
+
+/**
+ * Calculates the score of one puzzle. Unsolved puzzles score nothing; a solved puzzle scores
+ * `SCORING.solvedPuzzle` minus penalties for time, extra toggles, wrong submissions and hints,
+ * but never less than `SCORING.minimumPerPuzzle`.
+ * @param {object} puzzle - The processed puzzle object.
+ * @param {object} puzzleStats - The stats of the puzzle.
+ * @param {number} hintCount - The number of hints used on the puzzle.
+ * @param {boolean} isSolved - Whether the puzzle is solved.
+ * @returns {number}
+ */
+export const calculatePuzzleScore = (puzzle, puzzleStats, hintCount, isSolved) => {
+
+    if (!isSolved) return 0;
+
+    // Every match in the solution takes one toggle; only the toggles beyond that are penalized.
+    const extraToggles = Math.max(0, puzzleStats.toggles - puzzle.solutions.length);
+    const penalty = extraToggles * SCORING.perExtraToggle +
+        puzzleStats.wrongSubmissions * SCORING.perWrongSubmission +
+        hintCount * SCORING.perHint +
+        Math.floor(puzzleStats.timeMs / 10000) * SCORING.perTenSeconds;
+
+    return Math.max(SCORING.minimumPerPuzzle, SCORING.solvedPuzzle - penalty);
+};
+
+/**
+ * Summarizes the stats of one puzzle of a game.
+ * @param {object} game - The active game object.
+ * @param {object} puzzle - The processed puzzle object.
+ * @returns {{timeMs: number, toggles: number, wrongSubmissions: number, hintsUsed: number, score: number, solved: boolean}}
+ */
+export const summarizePuzzleStats = (game, puzzle) => {
+
+    const puzzleStats = game.gameState.stats.puzzles[puzzle.id] || { timeMs: 0, toggles: 0, wrongSubmissions: 0 };
+    const hintsUsed = game.gameState.hintsUsed.filter(hint => hint.puzzleId === puzzle.id).length;
+    const solved = game.gameState.solvedPuzzles.has(puzzle.id);
+
+    return {
+        ...puzzleStats,
+        hintsUsed,
+        solved,
+        score: calculatePuzzleScore(puzzle, puzzleStats, hintsUsed, solved)
+    };
+};
+
+/**
+ * Summarizes the stats of a whole game.
+ * @param {object} game - The active game object.
+ * @returns {{timeMs: number, toggles: number, wrongSubmissions: number, hintsUsed: number, score: number, solvedPuzzles: number}}
+ */
+export const summarizeGameStats = (game) => {
+
+    const puzzleSummaries = game.puzzleData.map(puzzle => summarizePuzzleStats(game, puzzle));
+    const sum = (key) => puzzleSummaries.reduce((total, summary) => total + summary[key], 0);
+
+    return {
+        timeMs: game.gameState.stats.timeMs,
+        toggles: sum('toggles'),
+        wrongSubmissions: sum('wrongSubmissions'),
+        hintsUsed: game.gameState.hintsUsed.length,
+        score: sum('score'),
+        solvedPuzzles: puzzleSummaries.filter(summary => summary.solved).length
+    };
+};
+
+/**
+ * Checks whether a game result beats a personal best: a higher score, or the same score in less time.
+ * @param {object} result - A game summary.
+ * @param {object | null} best - The personal best, if there is one.
+ * @returns {boolean}
+ */
+export const isNewPersonalBest = (result, best) => {
+
+    if (!best) return true;
+
+    return result.score > best.score || (result.score === best.score && result.timeMs < best.timeMs);
+};
+
+/**
+ * Formats a duration as minutes and seconds, e.g. `3:07`.
+ * @param {number} ms - The duration in milliseconds.
+ * @returns {string}
+ */
+export const formatDuration = (ms) => {
+
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+};
+
+/**
+ * Creates a timer that adds the time the player spends playing to the game stats,
+ * and to the stats of the puzzle they are working on.
+ * @param {function} [now=Date.now] - The clock, replaceable for tests.
+ * @returns {object} An API to track, flush and stop timing.
+ */
+export function createStatsTimer(now = () => Date.now()) {
+
+    let current = null;
+
+    /**
+     * Adds the time since the last flush to the tracked stats.
+     */
+    const flush = () => {
+
+        if (!current) return;
+
+        const time = now();
+        const elapsed = time - current.since;
+
+        current.stats.timeMs += elapsed;
+
+        if (current.puzzleId) {
+
+            getPuzzleStats(current.stats, current.puzzleId).timeMs += elapsed;
+        }
+
+        current.since = time;
+    };
+
+    /**
+     * Starts timing a game, and optionally a puzzle in it. Time tracked so far is flushed first.
+     * @param {object} stats - The game stats to add time to.
+     * @param {string | null} [puzzleId=null] - The puzzle to add time to.
+     */
+    const track = (stats, puzzleId = null) => {
+
+        flush();
+        current = { stats, puzzleId, since: now() };
+    };
+
+    /**
+     * Stops timing, e.g. while the game is paused or after it is won.
+     */
+    const stop = () => {
+
+        flush();
+        current = null;
+    };
+
+    return { track, flush, stop };
+}
@@ -0,0 +1,287 @@
+/**
+ * Persists in-progress game state to localStorage so a player can resume a game
+ * after a reload or after quitting. Progress is keyed by the game file it belongs to, and by the
+ * campaign it is played in, so a game in a campaign and the same game on its own keep separate saves.
+ * Personal bests are keyed by the game file, which are kept when a finished game's progress is cleared.
+ * Campaign progress, the games completed in a campaign, is keyed by the campaign id.
+ */
+import { createGameStats } from './game-stats.js';
+
+const STORAGE_PREFIX = 'match-locker:progress:';
+const BEST_PREFIX = 'match-locker:best:';
+const CAMPAIGN_PREFIX = 'match-locker:campaign:';
+const STORAGE_VERSION = 1;
+
+/**
+ * Converts the live game state (Maps and Sets) into a JSON-friendly object.
+ * Match entries are stored as arrays to preserve insertion order, which the
+ * 'ordered' evaluation rule depends on.
+ * @param {object} game - The active game object.
+ * @returns {object} The serializable progress snapshot.
+ */
+export const serializeGameProgress = (game) => {
+
+    const playerMatchesByPuzzle = Array.from(game.gameState.playerMatchesByPuzzle.entries())
+        .map(([puzzleId, matches]) => [puzzleId, Array.from(matches.entries())]);
+
+    return {
+        version: STORAGE_VERSION,
+        savedAt: Date.now(),
+        playerState: {
+            currentSliderId: game.playerState.currentSliderId,
+            currentIndex: game.playerState.currentIndex
+        },
+        gameState: {
+            playerMatchesByPuzzle,
+            solvedPuzzles: Array.from(game.gameState.solvedPuzzles),
+            hintsUsed: game.gameState.hintsUsed || [],
+            stats: game.gameState.stats || createGameStats()
+        }
+    };
+};
+
+/**
+ * Converts a stored progress snapshot back into the Maps and Sets used by the game.
+ * @param {object} progress - A snapshot created by `serializeGameProgress`.
+ * @returns {{playerState: object, gameState: object} | null} The restored state, or null if the snapshot is unusable.
+ */
+export const deserializeGameProgress = (progress) => {
+
+    if (!progress || progress.version !== STORAGE_VERSION || !progress.gameState) return null;
+
+    const playerMatchesByPuzzle = new Map(
+        (progress.gameState.playerMatchesByPuzzle || []).map(([puzzleId, entries]) => [puzzleId, new Map(entries)])
+    );
+
+    return {
+        playerState: { ...progress.playerState },
+        gameState: {
+            playerMatchesByPuzzle,
+            solvedPuzzles: new Set(progress.gameState.solvedPuzzles || []),
+            // Progress saved before hints existed has none recorded.
+            hintsUsed: progress.gameState.hintsUsed || [],
+            stats: progress.gameState.stats || createGameStats()
+        }
+    };
+};
+
+/**
+ * Creates a Web Storage that keeps its items in memory, for as long as the page is open.
+ * @returns {object}
+ */
+const createMemoryStorage = () => {
+
+    const items = new Map();
+
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => { items.set(key, String(value)); },
+        removeItem: (key) => { items.delete(key); }
+    };
+};
+
+/**
+ * Gets the page's localStorage. With site data blocked, or in some sandboxed frames, even reading
+ * `window.localStorage` throws; progress is then kept in memory, so the game can still be played.
+ * @returns {object}
+ */
+const getDefaultStorage = () => {
+
+    try {
+
+        return window.localStorage;
+
+    } catch (error) {
+
+        console.error('Could not use localStorage, progress will not be kept after the page is closed:', error);
+
+        return createMemoryStorage();
+    }
+};
+
+/**
+ * Creates a storage adapter for saved game progress.
+ * @param {Storage} [storage=window.localStorage] - The Web Storage implementation to use. Without one, and
+ *   without access to localStorage, progress is kept in memory.
+ * @returns {object} An API to save, load and clear progress per game file.
+ */
+export function createGameStorage(storage = getDefaultStorage()) {
+
+    const keyFor = (gameFile, campaignId) => (campaignId ? `${STORAGE_PREFIX}${campaignId}:${gameFile}` : `${STORAGE_PREFIX}${gameFile}`);
+
+    /**
+     * Saves the progress of a game.
+     * @param {string} gameFile - The game file the progress belongs to.
+     * @param {object} game - The active game object.
+     * @param {string | null} [campaignId=null] - The campaign the game is played in, if any.
+     */
+    const saveProgress = (gameFile, game, campaignId = null) => {
+
+        if (!gameFile || !game.playerState || !game.gameState) return;
+
+        try {
+
+            storage.setItem(keyFor(gameFile, campaignId), JSON.stringify(serializeGameProgress(game)));
+
+        } catch (error) {
+            // Storage may be full or disabled (e.g. private browsing). Playing should not break because of it.
+            console.error('Could not save game progress:', error);
+        }
+    };
+
+    /**
+     * Loads the saved progress of a game.
+     * @param {string} gameFile - The game file to load progress for.
+     * @param {string | null} [campaignId=null] - The campaign the game is played in, if any.
+     * @returns {{playerState: object, gameState: object} | null} The restored state, or null if there is none.
+     */
+    const loadProgress = (gameFile, campaignId = null) => {
+
+        try {
+
+            const raw = storage.getItem(keyFor(gameFile, campaignId));
+
+            return raw ? deserializeGameProgress(JSON.parse(raw)) : null;
+
+        } catch (error) {
+
+            console.error('Could not load game progress:', error);
+
+            return null;
+        }
+    };
+
+    /**
+     * Checks whether a game has saved progress.
+     * @param {string} gameFile - The game file to check.
+     * @param {string | null} [campaignId=null] - The campaign the game is played in, if any.
+     * @returns {boolean}
+     */
+    const hasProgress = (gameFile, campaignId = null) => loadProgress(gameFile, campaignId) !== null;
+
+    /**
+     * Removes the saved progress of a game.
+     * @param {string} gameFile - The game file to clear.
+     * @param {string | null} [campaignId=null] - The campaign the game is played in, if any.
+     */
+    const clearProgress = (gameFile, campaignId = null) => {
+
+        try {
+
+            storage.removeItem(keyFor(gameFile, campaignId));
+
+        } catch (error) {
+
+            console.error('Could not clear game progress:', error);
+        }
+    };
+
+    /**
+     * Loads the personal best of a game.
+     * @param {string} gameFile - The game file.
+     * @returns {object | null} The best game summary, or null if the game was never won.
+     */
+    const loadPersonalBest = (gameFile) => {
+
+        try {
+
+            const raw = storage.getItem(`${BEST_PREFIX}${gameFile}`);
+
+            return raw ? JSON.parse(raw) : null;
+
+        } catch (error) {
+
+            console.error('Could not load personal best:', error);
+
+            return null;
+        }
+    };
+
+    /**
+     * Saves a game summary as the personal best of a game.
+     * @param {string} gameFile - The game file.
+     * @param {object} summary - The game summary.
+     */
+    const savePersonalBest = (gameFile, summary) => {
+
+        if (!gameFile) return;
+
+        try {
+
+            storage.setItem(`${BEST_PREFIX}${gameFile}`, JSON.stringify({ ...summary, achievedAt: Date.now() }));
+
+        } catch (error) {
+
+            console.error('Could not save personal best:', error);
+        }
+    };
+
+    /**
+     * Loads the game files completed in a campaign.
+     * @param {string} campaignId - The campaign.
+     * @returns {Array<string>} The completed game files, empty if the campaign was never played.
+     */
+    const loadCampaignProgress = (campaignId) => {
+
+        try {
+
+            const raw = storage.getItem(`${CAMPAIGN_PREFIX}${campaignId}`);
+            const progress = raw ? JSON.parse(raw) : null;
+
+            return Array.isArray(progress?.completedGames) ? progress.completedGames : [];
+
+        } catch (error) {
+
+            console.error('Could not load campaign progress:', error);
+
+            return [];
+        }
+    };
+
+    /**
+     * Saves the game files completed in a campaign.
+     * @param {string} campaignId - The campaign.
+     * @param {Array<string>} completedGames - The completed game files.
+     */
+    const saveCampaignProgress = (campaignId, completedGames) => {
+
+        if (!campaignId) return;
+
+        try {
+
+            storage.setItem(`${CAMPAIGN_PREFIX}${campaignId}`, JSON.stringify({ version: STORAGE_VERSION, completedGames }));
+
+        } catch (error) {
+
+            console.error('Could not save campaign progress:', error);
+        }
+    };
+
+    /**
+     * Forgets the games completed in a campaign, so it starts over from its first game.
+     * @param {string} campaignId - The campaign.
+     */
+    const clearCampaignProgress = (campaignId) => {
+
+        try {
+
+            storage.removeItem(`${CAMPAIGN_PREFIX}${campaignId}`);
+
+        } catch (error) {
+
+            console.error('Could not clear campaign progress:', error);
+        }
+    };
+
+    return {
+        saveProgress,
+        loadProgress,
+        hasProgress,
+        clearProgress,
+        loadPersonalBest,
+        savePersonalBest,
+        loadCampaignProgress,
+        saveCampaignProgress,
+        clearCampaignProgress
+    };
+}
@@ -0,0 +1,140 @@
+import { isPuzzleSolved, evaluatePuzzle } from './puzzle-logic.js';
+import { sortTreeBreadthFirst, isOrderedEvaluation, getOrderedSequences } from './puzzle-validators.js';
+import { getMatchPairs } from './player-matches.js';
+
+/**
+ * Hints for players who are stuck on a puzzle. Hints are derived from the puzzle's solutions
+ * and cost one unit of the game's hint budget each.
+ *
+ * Hint kinds:
+ * - 'wrong-matches': which of the player's current matches are not part of the solution.
+ * - 'reveal-match': one solution pair the player has not matched yet.
+ * - 'next-match': for ordered puzzles, the match the solution expects next.
+ */
+
+export const HINT_KINDS = ['wrong-matches', 'reveal-match', 'next-match'];
+
+export const DEFAULT_HINT_BUDGET = 3;
+
+const pairKey = (a, b) => [a, b].sort().join('|');
+
+/**
+ * Finds the player's matches that are not part of the solution.
+ * For ordered puzzles a match is also wrong when it was made out of turn.
+ * @param {object} puzzle - The processed puzzle object.
+ * @param {Map<string, string>} playerMatches - The player's matches.
+ * @returns {Array<Array<string>>} The wrong matches as [hostSlideId, guestSlideId] pairs.
+ */
+export const findWrongMatches = (puzzle, playerMatches) => {
+
+    if (!puzzle || !playerMatches) return [];
+
+    return evaluatePuzzle(puzzle, playerMatches).wrong;
+};
+
+/**
+ * Finds a solution pair the player has not matched yet, in the order the solutions were authored.
+ * For puzzles with alternative solution sets the pair comes from the set closest to the player's matches.
+ * @param {object} puzzle - The processed puzzle object.
+ * @param {Map<string, string>} playerMatches - The player's matches.
+ * @returns {Array<string> | null} The pair, or null if every pair has been matched.
+ */
+export const findMissingMatch = (puzzle, playerMatches) => {
+
+    if (!puzzle || isPuzzleSolved(puzzle, playerMatches || new Map())) return null;
+
+    const { solutions } = evaluatePuzzle(puzzle, playerMatches || new Map());
+    const playerKeys = new Set(getMatchPairs(playerMatches).map(([hostId, guestId]) => pairKey(hostId, guestId)));
+
+    return solutions.find(([a, b]) => !playerKeys.has(pairKey(a, b))) || null;
+};
+
+/**
+ * Finds the match an ordered puzzle expects next: the first solution pair after the
+ * player's matches that are in the authored order. Trees are built breadth-first,
+ * so for them it is the first pair of the shallowest level that is not complete.
+ * @param {object} puzzle - The processed puzzle object.
+ * @param {Map<string, string>} playerMatches - The player's matches.
+ * @returns {Array<string> | null} The pair, or null for unordered or solved puzzles.
+ */
+export const findNextOrderedMatch = (puzzle, playerMatches) => {
+
+    if (!puzzle || !isOrderedEvaluation(puzzle.evaluation) || isPuzzleSolved(puzzle, playerMatches || new Map())) return null;
+
+    // The matches before the first one out of order are the correct start of the solution.
+    const { solutions, correct } = evaluatePuzzle(puzzle, playerMatches || new Map());
+    const correctKeys = new Set(correct.map(([a, b]) => pairKey(a, b)));
+
+    if (puzzle.type === 'tree') {
+
+        return sortTreeBreadthFirst(solutions, puzzle.root).find(([a, b]) => !correctKeys.has(pairKey(a, b))) || null;
+    }
+
+    // With another start or direction allowed, continue the sequence the correct matches follow.
+    const sequence = getOrderedSequences(solutions, puzzle.evaluation)
+        .find(candidate => correct.every(([a, b], i) => pairKey(a, b) === pairKey(...candidate[i]))) || solutions;
+
+    return sequence[correct.length] || null;
+};
+
+/**
+ * Gets a hint for a puzzle without spending it.
+ * @param {'wrong-matches' | 'reveal-match' | 'next-match'} kind - The kind of hint.
+ * @param {object} puzzle - The processed puzzle object.
+ * @param {Map<string, string>} playerMatches - The player's matches.
+ * @returns {{kind: string, pairs: Array<Array<string>>} | null} The hint, or null if this kind of hint does not apply.
+ */
+export const getHint = (kind, puzzle, playerMatches) => {
+
+    switch (kind) {
+        case 'wrong-matches':
+            // Only useful once there is something to check.
+            return playerMatches && playerMatches.size > 0 && !isPuzzleSolved(puzzle, playerMatches)
+                ? { kind, pairs: findWrongMatches(puzzle, playerMatches) }
+                : null;
+
+        case 'reveal-match': {
+            const pair = findMissingMatch(puzzle, playerMatches);
+
+            return pair ? { kind, pairs: [pair] } : null;
+        }
+
+        case 'next-match': {
+            const pair = findNextOrderedMatch(puzzle, playerMatches);
+
+            return pair ? { kind, pairs: [pair] } : null;
+        }
+
+        default:
+            return null;
+    }
+};
+
+/**
+ * Gets the number of hints left for a game.
+ * @param {object} game - The active game object.
+ * @returns {number}
+ */
+export const getHintsRemaining = (game) => Math.max(0, game.hintBudget - game.gameState.hintsUsed.length);
+
+/**
+ * Spends one hint from the game's budget and records it in the game state.
+ * @param {object} game - The active game object.
+ * @param {object} puzzle - The processed puzzle object.
+ * @param {'wrong-matches' | 'reveal-match' | 'next-match'} kind - The kind of hint.
+ * @returns {{kind: string, pairs: Array<Array<string>>} | null} The hint, or null if the budget is spent or the hint does not apply.
+ */
+export const useHint = (game, puzzle, kind) => {
+
+    if (getHintsRemaining(game) === 0) return null;
+
+    const playerMatches = game.gameState.playerMatchesByPuzzle.get(puzzle.id) || new Map();
+    const hint = getHint(kind, puzzle, playerMatches);
+
+    if (hint) {
+
+        game.gameState.hintsUsed.push({ puzzleId: puzzle.id, kind });
+    }
+
+    return hint;
+};
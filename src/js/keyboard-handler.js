@@ -0,0 +1,144 @@
+/**
+ * Encapsulates keyboard control of the game screen.
+ *
+ * Arrow keys and WASD navigate, Space/Enter toggles a match between the current host and guest slides,
+ * Shift+Enter submits the puzzle, Delete/Backspace clears its matches and `i` toggles the info screen.
+ * Ctrl+Z (Cmd+Z) undoes the last match change, Ctrl+Shift+Z or Ctrl+Y redoes it.
+ * Navigation and matching reuse the same logic as the on-screen buttons and the tap gesture.
+ */
+
+const NAVIGATION_KEYS = {
+    ArrowLeft: 'left',
+    ArrowRight: 'right',
+    ArrowUp: 'up',
+    ArrowDown: 'down',
+    a: 'left',
+    d: 'right',
+    w: 'up',
+    s: 'down'
+};
+
+export function createKeyboardHandler(callbacks) {
+
+    const {
+        isGameScreenActive,
+        isInfoScreenActive,
+        navigate,
+        attemptMatch,
+        submit,
+        clearMatches,
+        undo,
+        redo,
+        toggleInfo
+    } = callbacks;
+
+    /**
+     * Keys typed into form fields, or used to press a focused button, belong to that element.
+     */
+    const isOwnedByTarget = (event) => {
+
+        const target = event.target;
+
+        if (!target || !target.closest) return false;
+
+        if (target.closest('input, select, textarea, [contenteditable="true"]')) return true;
+
+        return (event.key === 'Enter' || event.key === ' ') && !!target.closest('button, a[href]');
+    };
+
+    /**
+     * Handles the undo/redo shortcuts, the only ones that use a modifier.
+     * @returns {boolean} True if the event was an undo or redo shortcut.
+     */
+    const handleHistoryShortcut = (event, key) => {
+
+        if (!(event.ctrlKey || event.metaKey) || event.altKey || !isGameScreenActive()) return false;
+
+        if (key === 'z' && !event.shiftKey) {
+
+            event.preventDefault();
+            undo();
+
+            return true;
+        }
+
+        if ((key === 'z' && event.shiftKey) || key === 'y') {
+
+            event.preventDefault();
+            redo();
+
+            return true;
+        }
+
+        return false;
+    };
+
+    const handleKeyDown = (event) => {
+
+        if (isOwnedByTarget(event)) return;
+
+        const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+
+        if (handleHistoryShortcut(event, key)) return;
+
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+        // The info screen can be closed with the same key that opened it, or with Escape.
+        if (isInfoScreenActive()) {
+
+            if (key === 'i' || key === 'Escape') {
+
+                event.preventDefault();
+                toggleInfo();
+            }
+
+            return;
+        }
+
+        if (!isGameScreenActive()) return;
+
+        if (NAVIGATION_KEYS[key]) {
+
+            event.preventDefault();
+            navigate(NAVIGATION_KEYS[key]);
+
+            return;
+        }
+
+        // Holding down the remaining keys should not repeat their action.
+        if (event.repeat) return;
+
+        if (key === 'Enter' && event.shiftKey) {
+
+            event.preventDefault();
+            submit();
+
+        } else if (key === 'Enter' || key === ' ') {
+
+            event.preventDefault();
+            attemptMatch();
+
+        } else if (key === 'Delete' || key === 'Backspace') {
+
+            event.preventDefault();
+            clearMatches();
+
+        } else if (key === 'i') {
+
+            event.preventDefault();
+            toggleInfo();
+        }
+    };
+
+    const attach = () => {
+
+        document.addEventListener('keydown', handleKeyDown);
+    };
+
+    const detach = () => {
+
+        document.removeEventListener('keydown', handleKeyDown);
+    };
+
+    return { attach, detach };
+}
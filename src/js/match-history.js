@@ -0,0 +1,105 @@
+/**
+ * Undo/redo history for the player's matches, kept per puzzle.
+ *
+ * Each change is recorded as snapshots of the puzzle's match entries before and after it.
+ * Restoring a snapshot restores the insertion order too, which the 'ordered' evaluation rule
+ * depends on: undoing the removal of an early match puts it back in its original place.
+ *
+ * @param {object} [options]
+ * @param {number} [options.limit=100] - The maximum number of changes kept per puzzle.
+ * @returns {object} The history API.
+ */
+export function createMatchHistory({ limit = 100 } = {}) {
+
+    const stacksByPuzzle = new Map();
+
+    const getStacks = (puzzleId) => {
+
+        if (!stacksByPuzzle.has(puzzleId)) {
+
+            stacksByPuzzle.set(puzzleId, { undo: [], redo: [] });
+        }
+
+        return stacksByPuzzle.get(puzzleId);
+    };
+
+    /**
+     * Replaces the contents of a match Map with a snapshot, in the snapshot's order.
+     */
+    const applySnapshot = (puzzleMatches, entries) => {
+
+        puzzleMatches.clear();
+        entries.forEach(([hostId, guestId]) => puzzleMatches.set(hostId, guestId));
+    };
+
+    /**
+     * Records a change to a puzzle's matches. Recording a new change discards the changes that could be redone.
+     * @param {string} puzzleId - The puzzle whose matches changed.
+     * @param {Array<Array<string>>} before - The match entries before the change.
+     * @param {Array<Array<string>>} after - The match entries after the change.
+     */
+    const record = (puzzleId, before, after) => {
+
+        const stacks = getStacks(puzzleId);
+
+        stacks.undo.push({ before, after });
+        stacks.redo = [];
+
+        if (stacks.undo.length > limit) {
+
+            stacks.undo.shift();
+        }
+    };
+
+    /**
+     * Reverts the last change to a puzzle's matches.
+     * @param {string} puzzleId - The puzzle to undo a change of.
+     * @param {Map<string, string>} puzzleMatches - The puzzle's matches, which are updated in place.
+     * @returns {boolean} True if a change was undone.
+     */
+    const undo = (puzzleId, puzzleMatches) => {
+
+        const stacks = getStacks(puzzleId);
+        const change = stacks.undo.pop();
+
+        if (!change) return false;
+
+        applySnapshot(puzzleMatches, change.before);
+        stacks.redo.push(change);
+
+        return true;
+    };
+
+    /**
+     * Re-applies the last undone change to a puzzle's matches.
+     * @param {string} puzzleId - The puzzle to redo a change of.
+     * @param {Map<string, string>} puzzleMatches - The puzzle's matches, which are updated in place.
+     * @returns {boolean} True if a change was redone.
+     */
+    const redo = (puzzleId, puzzleMatches) => {
+
+        const stacks = getStacks(puzzleId);
+        const change = stacks.redo.pop();
+
+        if (!change) return false;
+
+        applySnapshot(puzzleMatches, change.after);
+        stacks.undo.push(change);
+
+        return true;
+    };
+
+    const canUndo = (puzzleId) => stacksByPuzzle.has(puzzleId) && stacksByPuzzle.get(puzzleId).undo.length > 0;
+
+    const canRedo = (puzzleId) => stacksByPuzzle.has(puzzleId) && stacksByPuzzle.get(puzzleId).redo.length > 0;
+
+    /**
+     * Forgets all history, e.g. when another game is loaded.
+     */
+    const clear = () => {
+
+        stacksByPuzzle.clear();
+    };
+
+    return { record, undo, redo, canUndo, canRedo, clear };
+}
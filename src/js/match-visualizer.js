@@ -1,3 +1,5 @@
+import { hasMatch, getMatchPairs, getGuestIds } from './player-matches.js';
+
 /**
  * Manages the visual representation of slide matches.
  * This module centralizes all logic for how matches are displayed,
@@ -9,6 +11,9 @@ export function createMatchVisualizer(callbacks) {
 
     let currentStrategy = 'fade-on-drag'; // Default strategy
 
+    // Feedback from the last submission: { puzzleId, correct, wrong }, or null when there is none to show.
+    let feedback = null;
+
     const colorPalette = ['#FF5733', '#33FF57', '#3357FF', '#FF33A1', '#A133FF', '#33FFA1'];
 
     // State for managing visuals during a drag operation.
@@ -42,7 +47,7 @@ export function createMatchVisualizer(callbacks) {
             const staticSlideId = otherSwiper.getCurrentSlideId();
 
             // Check if the two slides currently in the puzzle slot form a match.
-            if (puzzleMatches.get(draggedSlideId) === staticSlideId || puzzleMatches.get(staticSlideId) === draggedSlideId) {
+            if (hasMatch(puzzleMatches, draggedSlideId, staticSlideId)) {
                 // We are dragging one half of a matched pair. Store the state.
                 draggedMatchState = { draggedSlideId, staticSlideId };
 
@@ -102,7 +107,7 @@ export function createMatchVisualizer(callbacks) {
         const currentHostSlideId = hostSwiper.getCurrentSlideId();
         const currentGuestSlideId = guestSwiper.getCurrentSlideId();
 
-        if (puzzleMatches.get(currentHostSlideId) === currentGuestSlideId || puzzleMatches.get(currentGuestSlideId) === currentHostSlideId) {
+        if (hasMatch(puzzleMatches, currentHostSlideId, currentGuestSlideId)) {
 
             document.querySelectorAll(`[data-slide-id="${currentHostSlideId}"], [data-slide-id="${currentGuestSlideId}"]`).forEach(el => el.classList.add('is-matched'));
         }
@@ -126,34 +131,138 @@ export function createMatchVisualizer(callbacks) {
 
         let colorIndex = 0;
 
-        puzzleMatches.forEach((guestId, hostId) => {
+        const outline = (slideId, color) => {
 
-            const color = colorPalette[colorIndex % colorPalette.length];
-            const hostSwiper = Array.from(game.swiperInstances.values()).find(s => s.getIndexForSlideId(hostId) > -1);
-            const guestSwiper = Array.from(game.swiperInstances.values()).find(s => s.getIndexForSlideId(guestId) > -1);
+            const swiper = Array.from(game.swiperInstances.values()).find(s => s.getIndexForSlideId(slideId) > -1);
 
-            if (hostSwiper) {
+            if (!swiper) return;
 
-                document.querySelectorAll(`[data-slide-id="${hostId}"]`).forEach(el => {
+            document.querySelectorAll(`[data-slide-id="${slideId}"]`).forEach(el => {
 
-                    el.classList.add('is-matched-colored');
-                    el.style.setProperty('--match-color', color);
-                });
-            }
+                el.classList.add('is-matched-colored');
+                el.style.setProperty('--match-color', color);
+            });
+        };
 
-            if (guestSwiper) {
+        // A host of a group puzzle shares its color with all of its guests.
+        puzzleMatches.forEach((_, hostId) => {
 
-                document.querySelectorAll(`[data-slide-id="${guestId}"]`).forEach(el => {
+            const color = colorPalette[colorIndex % colorPalette.length];
 
-                    el.classList.add('is-matched-colored');
-                    el.style.setProperty('--match-color', color);
-                });
-            }
+            outline(hostId, color);
+            getGuestIds(puzzleMatches, hostId).forEach(guestId => outline(guestId, color));
 
             colorIndex++;
         });
     };
 
+    const pairKey = (a, b) => [a, b].sort().join('|');
+
+    /**
+     * Gets the feedback for the match between two slides, if feedback for the active puzzle is shown.
+     * @returns {'correct' | 'wrong' | null}
+     */
+    const getMatchFeedback = (game, slideId, partnerId) => {
+
+        const activePuzzle = getActivePuzzle(game);
+
+        if (!feedback || !activePuzzle || feedback.puzzleId !== activePuzzle.id) return null;
+
+        const key = pairKey(slideId, partnerId);
+
+        if (feedback.wrong.some(([a, b]) => pairKey(a, b) === key)) return 'wrong';
+        if (feedback.correct.some(([a, b]) => pairKey(a, b) === key)) return 'correct';
+
+        return null;
+    };
+
+    /**
+     * Marks the slides of correct and wrong matches, independent of the match strategy.
+     */
+    const synchronizeFeedback = (game) => {
+
+        document.querySelectorAll('.is-correct-match, .is-wrong-match').forEach(el => el.classList.remove('is-correct-match', 'is-wrong-match'));
+
+        const activePuzzle = getActivePuzzle(game);
+
+        if (!feedback || !activePuzzle || feedback.puzzleId !== activePuzzle.id) return;
+
+        const markPairs = (pairs, className) => {
+
+            pairs.flat().forEach(slideId => {
+
+                document.querySelectorAll(`[data-slide-id="${slideId}"]`).forEach(el => el.classList.add(className));
+            });
+        };
+
+        markPairs(feedback.correct, 'is-correct-match');
+        markPairs(feedback.wrong, 'is-wrong-match');
+    };
+
+    /**
+     * Shows which of the player's matches are correct after a submission.
+     * The feedback stays until it is cleared, which should happen when the matches change.
+     * @param {string} puzzleId - The submitted puzzle.
+     * @param {{correct: Array<Array<string>>, wrong: Array<Array<string>>}} result - The evaluation of the submission.
+     */
+    const showFeedback = (puzzleId, result) => {
+
+        feedback = { puzzleId, correct: result.correct, wrong: result.wrong };
+        synchronizeVisuals();
+    };
+
+    const clearFeedback = () => {
+
+        if (!feedback) return;
+
+        feedback = null;
+        synchronizeVisuals();
+    };
+
+    /**
+     * Mirrors the visual state in ARIA attributes: the current slide of each swiper is the selected option,
+     * and the accessible name of a matched slide says what it is matched with.
+     * This runs for every strategy, since screen reader users cannot see any of them.
+     */
+    const synchronizeAccessibility = () => {
+
+        const game = getGame();
+
+        if (!game.playerState) return;
+
+        const activePuzzle = getActivePuzzle(game);
+        const puzzleMatches = activePuzzle ? game.gameState.playerMatchesByPuzzle.get(activePuzzle.id) : null;
+        // Slides of a group puzzle can have several partners.
+        const partners = new Map();
+        const addPartner = (slideId, partnerId) => partners.set(slideId, [...(partners.get(slideId) || []), partnerId]);
+
+        getMatchPairs(puzzleMatches).forEach(([hostId, guestId]) => {
+
+            addPartner(hostId, guestId);
+            addPartner(guestId, hostId);
+        });
+
+        const nameOf = (slideId) => game.slideData?.[slideId]?.name || slideId;
+
+        game.swiperInstances.forEach(swiper => {
+
+            const currentSlideId = swiper.getCurrentSlideId();
+
+            // Clones are hidden from assistive technology, so only the original options are updated.
+            swiper.getElement().querySelectorAll('[role="option"]:not([aria-hidden])').forEach(option => {
+
+                const slideId = option.dataset.slideId;
+                const partnerIds = partners.get(slideId) || [];
+                const partnerFeedback = partnerIds.map(partnerId => getMatchFeedback(game, slideId, partnerId));
+                const matchFeedback = partnerFeedback.includes('wrong') ? 'wrong' : partnerFeedback.includes('correct') ? 'correct' : null;
+                const label = partnerIds.length > 0 ? `${nameOf(slideId)}, matched with ${partnerIds.map(nameOf).join(' and ')}` : nameOf(slideId);
+
+                option.setAttribute('aria-selected', String(slideId === currentSlideId));
+                option.setAttribute('aria-label', matchFeedback ? `${label} (${matchFeedback})` : label);
+            });
+        });
+    };
+
     const synchronizeVisuals = () => {
 
         const game = getGame();
@@ -166,6 +275,9 @@ export function createMatchVisualizer(callbacks) {
 
             synchronizeColoredOutlines(game);
         }
+
+        synchronizeFeedback(game);
+        synchronizeAccessibility();
     };
 
     return {
@@ -173,5 +285,8 @@ export function createMatchVisualizer(callbacks) {
         onDragStart,
         onDragEnd,
         synchronizeVisuals,
+        synchronizeAccessibility,
+        showFeedback,
+        clearFeedback,
     };
 }
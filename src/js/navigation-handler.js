@@ -1,9 +1,13 @@
+import { leadsIntoLockedPuzzle } from './puzzle-logic.js';
+
 /**
  * Encapsulates all player navigation logic via UI buttons.
+ * `navigate` is also returned so other input methods, like the keyboard, can share it.
+ * Moves into the guest slider of a locked puzzle slot are refused and reported through `onBlocked`.
  */
 export function createNavigationHandler(callbacks) {
 
-    const { getGame, onStateUpdate, domElements } = callbacks;
+    const { getGame, onStateUpdate, isPuzzleLocked = () => false, onBlocked, domElements } = callbacks;
 
     const navigate = (navKey) => {
 
@@ -19,6 +23,13 @@ export function createNavigationHandler(callbacks) {
 
         if (!destination) return;
 
+        if (leadsIntoLockedPuzzle(currentNode, destination, isPuzzleLocked)) {
+
+            if (onBlocked) onBlocked(currentNode.puzzleId);
+
+            return;
+        }
+
         // If the destination is on the same slider, we can use the swiper's internal navigation.
         // The swiper will animate and then emit a `snapComplete` event. The drag-and-tap handler
         // will eventually listen for this to update the state, but for now, this simplifies the nav logic.
@@ -57,5 +68,5 @@ export function createNavigationHandler(callbacks) {
         // A detach function is included for completeness if needed later.
     };
 
-    return { attach, detach };
+    return { attach, detach, navigate };
 }
@@ -0,0 +1,121 @@
+/**
+ * Helpers for the player's matches of a puzzle.
+ *
+ * The matches are a Map keyed by host slide id, in the order they were made. For most puzzle types
+ * the value is the one guest slide id the host is matched with. 'group' and 'tree' puzzles let a host
+ * own several guests (its spokes or children), so there the value is an array of guests. A guest is
+ * `{ id, order }`: `order` numbers the matches of the puzzle in the order they were made, since a host's
+ * later guests would otherwise count from its first match. Guests that are plain slide ids, e.g. from
+ * progress saved before, have no order and count as made first, host by host.
+ * Values are replaced rather than changed in place, so snapshots of the entries (for undo and
+ * storage) stay valid.
+ */
+
+/**
+ * Checks if a puzzle lets a host slide be matched with more than one guest slide.
+ * @param {object} puzzle - The processed puzzle object.
+ * @returns {boolean}
+ */
+export const allowsManyMatches = (puzzle) => !!puzzle && (puzzle.type === 'group' || puzzle.type === 'tree');
+
+const toGuests = (value) => (Array.isArray(value) ? value : value === undefined ? [] : [value])
+    .map(guest => (typeof guest === 'string' ? { id: guest, order: null } : guest));
+
+const toGuestIds = (value) => toGuests(value).map(guest => guest.id);
+
+/**
+ * Gets the guest slides a host is matched with.
+ * @param {Map<string, string | Array<string | object>>} playerMatches - The player's matches.
+ * @param {string} hostId - The host slide.
+ * @returns {Array<string>} The guest slide ids.
+ */
+export const getGuestIds = (playerMatches, hostId) => (playerMatches ? toGuestIds(playerMatches.get(hostId)) : []);
+
+/**
+ * Lists the player's matches as pairs, in the order they were made.
+ * @param {Map<string, string | Array<string | object>>} playerMatches - The player's matches.
+ * @returns {Array<Array<string>>} The matches as [hostSlideId, guestSlideId] pairs.
+ */
+export const getMatchPairs = (playerMatches) => {
+
+    if (!playerMatches) return [];
+
+    return Array.from(playerMatches.entries())
+        .flatMap(([hostId, value]) => toGuests(value).map(guest => ({ pair: [hostId, guest.id], order: guest.order ?? -1 })))
+        // The sort is stable, so matches without an order keep the order of their hosts.
+        .sort((a, b) => a.order - b.order)
+        .map(({ pair }) => pair);
+};
+
+/**
+ * Counts the player's matches; a host matched with several guests counts once per guest.
+ * @param {Map<string, string | Array<string | object>>} playerMatches - The player's matches.
+ * @returns {number}
+ */
+export const countMatches = (playerMatches) => getMatchPairs(playerMatches).length;
+
+/**
+ * Checks if two slides are matched with each other, whichever of them is the host.
+ * @param {Map<string, string | Array<string | object>>} playerMatches - The player's matches.
+ * @param {string} slideId - One slide.
+ * @param {string} otherSlideId - The other slide.
+ * @returns {boolean}
+ */
+export const hasMatch = (playerMatches, slideId, otherSlideId) => {
+
+    if (!playerMatches) return false;
+
+    return toGuestIds(playerMatches.get(slideId)).includes(otherSlideId) || toGuestIds(playerMatches.get(otherSlideId)).includes(slideId);
+};
+
+/**
+ * Matches a host slide with a guest slide, or removes the match if they are already matched.
+ * Without `many`, matching a host replaces its previous guest.
+ * @param {Map<string, string | Array<string | object>>} playerMatches - The player's matches, which are updated in place.
+ * @param {string} hostId - The host slide.
+ * @param {string} guestId - The guest slide.
+ * @param {boolean} [many=false] - Whether the host can be matched with several guests.
+ * @returns {boolean} True if the slides are matched afterwards.
+ */
+export const toggleMatch = (playerMatches, hostId, guestId, many = false) => {
+
+    const guests = toGuests(playerMatches.get(hostId));
+    const guestIds = guests.map(guest => guest.id);
+
+    if (!many) {
+
+        if (guestIds.includes(guestId)) {
+
+            playerMatches.delete(hostId);
+
+            return false;
+        }
+
+        playerMatches.set(hostId, guestId);
+
+        return true;
+    }
+
+    if (guestIds.includes(guestId)) {
+
+        const remaining = guests.filter(guest => guest.id !== guestId);
+
+        if (remaining.length > 0) {
+
+            playerMatches.set(hostId, remaining);
+
+        } else {
+
+            playerMatches.delete(hostId);
+        }
+
+        return false;
+    }
+
+    // The new match comes after every match of the puzzle so far.
+    const order = Math.max(0, ...Array.from(playerMatches.values()).flatMap(value => toGuests(value).map(guest => guest.order ?? 0))) + 1;
+
+    playerMatches.set(hostId, [...guests, { id: guestId, order }]);
+
+    return true;
+};
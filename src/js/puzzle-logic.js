@@ -1,4 +1,5 @@
-import { validateSet, validateStar, validateChain, validateRing } from './puzzle-validators.js';
+import { validateSet, validateStar, validateChain, validateRing, validateGroup, validateTree, evaluateMatches, evaluateTreeMatches } from './puzzle-validators.js';
+import { getMatchPairs } from './player-matches.js';
 /**
  * Parses the raw game data into structured formats needed by the application.
  * @param {object} gameData - The raw JSON data for the game.
@@ -72,22 +73,57 @@ export const processGameData = (gameData) => {
 
     rawPuzzles.forEach(rawPuzzle => {
 
+        const solutions = (rawPuzzle.matches || []).map(m => m.match);
+        const type = rawPuzzle.type || 'set';
+
         newPuzzleData.push({
             id: rawPuzzle.puzzle_id,
             puzzletitle: rawPuzzle.puzzletitle,
             instructions: rawPuzzle.instructions,
-            type: rawPuzzle.type || 'set',
-            evaluation: rawPuzzle.evaluation || 'unordered',
-            solutions: (rawPuzzle.matches || []).map(m => m.match)
+            type: type,
+            // Groups have no order, see `validateGroup`.
+            evaluation: type === 'group' ? 'unordered' : (rawPuzzle.evaluation || 'unordered'),
+            solutions: solutions,
+            // Only trees have a root; without one it is derived from the matches.
+            root: rawPuzzle.root,
+            // Strict unordered chains and rings must connect the authored slides, not just have the right shape.
+            strict: rawPuzzle.strict === true,
+            // The puzzles that must be solved before this one unlocks.
+            requires: rawPuzzle.requires || [],
+            // The authored matches come first, followed by the alternative accepted answers.
+            solutionSets: [solutions, ...(rawPuzzle.alternatives || []).map(alt => (alt.matches || []).map(m => m.match))]
         });
     });
 
+    // A group with `wrap: false` is a bounded list that stops at its first and last slide.
+    virtualSliders.forEach(slider => {
+
+        slider.wrap = slideGroups.find(g => g.group_id === slider.populates_from_group)?.wrap !== false;
+    });
+
     // We pass the virtual sliders to the game engine, but the core layout object remains clean.
     const layoutForEngine = { ...layout, sliders: Array.from(virtualSliders.values()) };
 
     return { slideData, newPuzzleData, slideGroups, layout: layoutForEngine };
 }
 
+/**
+ * Gets the index of the slide next to a slide.
+ * @param {number} index - The index of the slide.
+ * @param {number} step - -1 for the previous slide, 1 for the next.
+ * @param {number} slideCount - The number of slides in the group.
+ * @param {boolean} [wrap=true] - Whether the slider loops from its last slide back to the first.
+ * @returns {number | null} The index, or null past the end of a slider that does not loop.
+ */
+export const getNeighbourIndex = (index, step, slideCount, wrap = true) => {
+
+    const neighbour = index + step;
+
+    if (wrap) return (neighbour + slideCount) % slideCount;
+
+    return neighbour >= 0 && neighbour < slideCount ? neighbour : null;
+};
+
 /**
  * Builds the world map for navigation between sliders.
  * @param {object} layout - The layout configuration.
@@ -111,16 +147,19 @@ export const buildWorldMap = (layout, slideGroups) => {
         for (let i = 0; i < slideCount; i++) {
 
             const key = `${slider.id}-${i}`;
-            const prevIndex = (i - 1 + slideCount) % slideCount;
-            const nextIndex = (i + 1) % slideCount;
+            const prevIndex = getNeighbourIndex(i, -1, slideCount, slider.wrap);
+            const nextIndex = getNeighbourIndex(i, 1, slideCount, slider.wrap);
+            const toSlide = (index) => (index === null ? null : { sliderId: slider.id, index });
 
             map.set(key, {
-                up: slider.direction === 'vertical' ? { sliderId: slider.id, index: prevIndex } : null,
-                down: slider.direction === 'vertical' ? { sliderId: slider.id, index: nextIndex } : null,
-                left: slider.direction === 'horizontal' ? { sliderId: slider.id, index: prevIndex } : null,
-                right: slider.direction === 'horizontal' ? { sliderId: slider.id, index: nextIndex } : null,
+                up: slider.direction === 'vertical' ? toSlide(prevIndex) : null,
+                down: slider.direction === 'vertical' ? toSlide(nextIndex) : null,
+                left: slider.direction === 'horizontal' ? toSlide(prevIndex) : null,
+                right: slider.direction === 'horizontal' ? toSlide(nextIndex) : null,
                 guest: null,
-                isConnection: false
+                isConnection: false,
+                // The puzzle of the slot at this node, on the host side of the slot.
+                puzzleId: null
             });
         }
     });
@@ -145,21 +184,23 @@ export const buildWorldMap = (layout, slideGroups) => {
 
             const guestSlideCount = guestSlideGroup.slides.length;
 
-            const guestPrevIndex = (guestConnectionIndex - 1 + guestSlideCount) % guestSlideCount;
-            const guestNextIndex = (guestConnectionIndex + 1) % guestSlideCount;
+            const guestPrevIndex = getNeighbourIndex(guestConnectionIndex, -1, guestSlideCount, guestSlider.wrap);
+            const guestNextIndex = getNeighbourIndex(guestConnectionIndex, 1, guestSlideCount, guestSlider.wrap);
+            const toGuestSlide = (index) => (index === null ? null : { sliderId: slot.guest_group_id, index });
 
             if (guestSlider.direction === 'vertical') {
                 // When on the host, 'up' goes to the previous slide on the guest, 'down' to the next.
-                hostNode.up = { sliderId: slot.guest_group_id, index: guestPrevIndex };
-                hostNode.down = { sliderId: slot.guest_group_id, index: guestNextIndex };
+                hostNode.up = toGuestSlide(guestPrevIndex);
+                hostNode.down = toGuestSlide(guestNextIndex);
 
             } else {
                 // When on the host, 'left' goes to the previous slide on the guest, 'right' to the next.
-                hostNode.left = { sliderId: slot.guest_group_id, index: guestPrevIndex };
-                hostNode.right = { sliderId: slot.guest_group_id, index: guestNextIndex };
+                hostNode.left = toGuestSlide(guestPrevIndex);
+                hostNode.right = toGuestSlide(guestNextIndex);
             }
 
             hostNode.guest = { sliderId: slot.guest_group_id, index: guestConnectionIndex };
+            hostNode.puzzleId = slot.activates_puzzle_id;
         }
 
         if (map.has(guestKey)) {
@@ -184,27 +225,126 @@ export const buildWorldMap = (layout, slideGroups) => {
 };
 
 /**
- * Checks if the current puzzle is solved based on the game state.
- * @param {Array} puzzleData - The array of puzzle data for the current game.
- * @param {object} gameState - The current state of the player's game.
- * @returns {boolean} True if the puzzle is solved, false otherwise. 
+ * Gets the solution sets of a puzzle: its solutions followed by any alternative accepted answers.
+ * Puzzles built without `solutionSets` have a single set.
+ * @param {object} puzzle - The processed puzzle object.
+ * @returns {Array<Array<Array<string>>>} The solution sets.
  */
-export const isPuzzleSolved = (puzzle, playerMatches) => {
+export const getSolutionSets = (puzzle) => puzzle.solutionSets || [puzzle.solutions];
+
+const validateSolutionSet = (puzzle, solutions, playerMatches) => {
+
+    const evaluation = puzzle.evaluation;
 
-    if (!puzzle || !playerMatches) return false;
-    
     switch (puzzle.type) {
         case 'star':
-            return validateStar(puzzle.solutions, playerMatches, puzzle.evaluation);
+            return validateStar(solutions, playerMatches, evaluation);
 
         case 'chain':
-            return validateChain(puzzle.solutions, playerMatches, puzzle.evaluation);
+            return validateChain(solutions, playerMatches, evaluation, { strict: puzzle.strict });
 
         case 'ring':
-            return validateRing(puzzle.solutions, playerMatches, puzzle.evaluation);
+            return validateRing(solutions, playerMatches, evaluation, { strict: puzzle.strict });
+
+        case 'group':
+            return validateGroup(solutions, playerMatches);
+
+        case 'tree':
+            return validateTree(solutions, playerMatches, evaluation, puzzle.root);
 
         case 'set':
         default:
-            return validateSet(puzzle.solutions, playerMatches, puzzle.evaluation);
+            return validateSet(solutions, playerMatches, evaluation);
     }
 };
+
+/**
+ * Checks if the current puzzle is solved based on the game state.
+ * A puzzle with alternative solution sets is solved when any of them is.
+ * @param {object} puzzle - The processed puzzle object.
+ * @param {Map<string, string | Array<string>>} playerMatches - The player's matches.
+ * @returns {boolean} True if the puzzle is solved, false otherwise. 
+ */
+export const isPuzzleSolved = (puzzle, playerMatches) => {
+
+    if (!puzzle || !playerMatches) return false;
+
+    return getSolutionSets(puzzle).some(solutions => validateSolutionSet(puzzle, solutions, playerMatches));
+};
+
+/**
+ * Evaluates the player's matches for a puzzle in detail, for feedback on a submission.
+ * Chains and rings that are not strict are solved by any matches with the right shape, so when the puzzle
+ * is solved every match counts as correct, even if it differs from the authored solution.
+ * An unsolved puzzle is compared with the solution set closest to the player's matches:
+ * the one with the most correct matches, then the fewest wrong ones.
+ * @param {object} puzzle - The processed puzzle object.
+ * @param {Map<string, string>} playerMatches - The player's matches.
+ * @returns {{solved: boolean, solutions: Array<Array<string>>, correct: Array<Array<string>>, wrong: Array<Array<string>>, missing: number, firstOutOfOrderIndex: number | null}}
+ * `solutions` is the solution set the matches were compared with.
+ */
+export const evaluatePuzzle = (puzzle, playerMatches) => {
+
+    if (isPuzzleSolved(puzzle, playerMatches)) {
+
+        const solutions = getSolutionSets(puzzle).find(set => validateSolutionSet(puzzle, set, playerMatches));
+
+        return { solved: true, solutions, correct: getMatchPairs(playerMatches), wrong: [], missing: 0, firstOutOfOrderIndex: null };
+    }
+
+    const evaluate = (solutions) => (puzzle.type === 'tree'
+        ? evaluateTreeMatches(solutions, playerMatches, puzzle.evaluation, puzzle.root)
+        : evaluateMatches(solutions, playerMatches, puzzle.evaluation));
+    const evaluations = getSolutionSets(puzzle).map(solutions => ({ solved: false, solutions, ...evaluate(solutions) }));
+
+    return evaluations.reduce((best, evaluation) => {
+
+        if (evaluation.correct.length !== best.correct.length) return evaluation.correct.length > best.correct.length ? evaluation : best;
+
+        return evaluation.wrong.length < best.wrong.length ? evaluation : best;
+    });
+};
+
+/**
+ * Lists the prerequisites of a puzzle that are not solved yet.
+ * @param {object} puzzle - The processed puzzle object.
+ * @param {Set<string>} solvedPuzzles - The ids of the solved puzzles.
+ * @returns {Array<string>} The ids of the puzzles still to solve.
+ */
+export const getMissingRequirements = (puzzle, solvedPuzzles) => (puzzle.requires || []).filter(puzzleId => !solvedPuzzles.has(puzzleId));
+
+/**
+ * Checks if a puzzle can be played: all of the puzzles it requires are solved.
+ * @param {object} puzzle - The processed puzzle object.
+ * @param {Set<string>} solvedPuzzles - The ids of the solved puzzles.
+ * @returns {boolean}
+ */
+export const isPuzzleUnlocked = (puzzle, solvedPuzzles) => getMissingRequirements(puzzle, solvedPuzzles).length === 0;
+
+/**
+ * Gets the state of a puzzle for display.
+ * @param {object} puzzle - The processed puzzle object.
+ * @param {Set<string>} solvedPuzzles - The ids of the solved puzzles.
+ * @returns {'solved' | 'unlocked' | 'locked'}
+ */
+export const getPuzzleStatus = (puzzle, solvedPuzzles) => {
+
+    if (solvedPuzzles.has(puzzle.id)) return 'solved';
+
+    return isPuzzleUnlocked(puzzle, solvedPuzzles) ? 'unlocked' : 'locked';
+};
+
+/**
+ * Checks if a move from a world map node would enter the guest slider of a locked puzzle slot.
+ * The slot itself can still be visited, so the player can see that it is locked.
+ * @param {object} node - The world map node the player is on.
+ * @param {{sliderId: string, index: number} | null} destination - The node the move leads to.
+ * @param {function(string): boolean} isPuzzleLocked - Checks if the puzzle with the given id is locked.
+ * @returns {boolean}
+ */
+export const leadsIntoLockedPuzzle = (node, destination, isPuzzleLocked) => {
+
+    if (!node || !destination || !node.puzzleId || !node.guest) return false;
+
+    return destination.sliderId === node.guest.sliderId && isPuzzleLocked(node.puzzleId);
+};
@@ -1,37 +1,73 @@
+import { getMatchPairs } from './player-matches.js';
+
 /**
  * A collection of validation functions for different puzzle topologies.
  */
 
 /**
- * Validates a puzzle with 'ordered' evaluation. The sequence of matches must be exact.
+ * The evaluation rules that check the order of the matches:
+ * - 'ordered': the matches must be made in the authored order.
+ * - 'ordered-any-start': the authored order, but starting at any match and wrapping around, e.g. a ring entered at another slide.
+ * - 'ordered-either-direction': the authored order or its reverse, e.g. a chain built from the other end.
+ */
+export const ORDERED_EVALUATIONS = ['ordered', 'ordered-any-start', 'ordered-either-direction'];
+
+export const isOrderedEvaluation = (evaluation) => ORDERED_EVALUATIONS.includes(evaluation);
+
+/**
+ * Lists the sequences of solution pairs an ordered evaluation rule accepts, the authored order first.
+ * @param {Array<Array<string>>} solutions - The array of solution pairs.
+ * @param {string} evaluation - The evaluation rule.
+ * @returns {Array<Array<Array<string>>>} The accepted sequences.
+ */
+export const getOrderedSequences = (solutions, evaluation) => {
+
+    switch (evaluation) {
+        case 'ordered-any-start':
+            return solutions.map((_, start) => [...solutions.slice(start), ...solutions.slice(0, start)]);
+
+        case 'ordered-either-direction':
+            return [solutions, solutions.slice().reverse().map(([a, b]) => [b, a])];
+
+        default:
+            return [solutions];
+    }
+};
+
+/**
+ * Compares a player match with a solution pair. 'ordered' compares exactly; the tolerant rules
+ * accept a match in either direction, since walking a chain backwards swaps the slides of every pair.
+ */
+const isSamePair = (playerPair, solutionPair, evaluation) => {
+
+    if (playerPair[0] === solutionPair[0] && playerPair[1] === solutionPair[1]) return true;
+
+    return evaluation !== 'ordered' && playerPair[0] === solutionPair[1] && playerPair[1] === solutionPair[0];
+};
+
+/**
+ * Validates a puzzle with an ordered evaluation rule. The sequence of matches must be exact,
+ * up to the start or direction the rule allows (see `ORDERED_EVALUATIONS`).
  * This is a generic validator that can be used by any puzzle type.
  * @param {Array<Array<string>>} solutions - The array of solution pairs.
  * @param {Map<string, string>} playerMatches - The player's matches.
+ * @param {string} [evaluation='ordered'] - The ordered evaluation rule.
  * @returns {boolean}
  */
-const validateOrdered = (solutions, playerMatches) => {
+const validateOrdered = (solutions, playerMatches, evaluation = 'ordered') => {
 
     if (playerMatches.size !== solutions.length) return false;
 
     const playerMatchArray = Array.from(playerMatches.entries());
 
-    for (let i = 0; i < solutions.length; i++) {
-
-        const solutionPair = solutions[i];
-        const playerPair = playerMatchArray[i];
-
-        if (playerPair[0] !== solutionPair[0] || playerPair[1] !== solutionPair[1]) {
-
-            return false;
-        }
-    }
-
-    return true;
+    return getOrderedSequences(solutions, evaluation).some(sequence =>
+        sequence.every((solutionPair, i) => isSamePair(playerMatchArray[i], solutionPair, evaluation))
+    );
 };
 
 /**
  * Builds an adjacency list graph from a set of matches.
- * @param {Map<string, string>} matches - The player's matches.
+ * @param {Map<string, string> | Array<Array<string>>} matches - The player's matches, or an array of pairs.
  * @returns {Map<string, Array<string>>} The adjacency list.
  */
 const buildAdjacencyList = (matches) => {
@@ -41,26 +77,47 @@ const buildAdjacencyList = (matches) => {
         adj.get(u).push(v);
     };
 
-    for (const [u, v] of matches.entries()) {
+    // Iterating a Map yields its [key, value] entries, so both inputs are lists of pairs here.
+    for (const [u, v] of matches) {
         addEdge(u, v);
         addEdge(v, u);
     }
     return adj;
 };
 
+/**
+ * Checks that every player match is one of the solution pairs, in either direction.
+ * With as many matches as pairs, this means the player connected exactly the authored slides;
+ * a chain may be walked from either end and a ring entered at any slide.
+ * @param {Array<Array<string>>} solutions - The array of solution pairs.
+ * @param {Map<string, string>} playerMatches - The player's matches.
+ * @returns {boolean}
+ */
+const matchesSolutionEdges = (solutions, playerMatches) => {
+
+    const solutionSet = new Set(solutions.map(s => s.slice().sort().join('|')));
+
+    return Array.from(playerMatches.entries()).every(pair => solutionSet.has(pair.slice().sort().join('|')));
+};
+
 /**
  * Validates a 'chain' type puzzle.
- * For 'unordered', it verifies the topological integrity of the chain.
+ * For 'unordered', it verifies the topological integrity of the chain. By default any chain of the
+ * right length passes; with `strict` it must connect the authored slides, walked from either end.
  * @param {Array<Array<string>>} solutions - The array of solution pairs.
  * @param {Map<string, string>} playerMatches - The player's matches.
- * @param {'ordered' | 'unordered'} evaluation - The evaluation rule.
+ * @param {string} evaluation - The evaluation rule: 'unordered' or one of `ORDERED_EVALUATIONS`.
+ * @param {object} [options={}]
+ * @param {boolean} [options.strict=false] - Whether the matches must be the authored ones.
  * @returns {boolean}
  */
-export const validateChain = (solutions, playerMatches, evaluation) => {
-    if (evaluation === 'ordered') {
-        return validateOrdered(solutions, playerMatches);
+export const validateChain = (solutions, playerMatches, evaluation, { strict = false } = {}) => {
+    if (isOrderedEvaluation(evaluation)) {
+        return validateOrdered(solutions, playerMatches, evaluation);
     }
 
+    if (strict && !matchesSolutionEdges(solutions, playerMatches)) return false;
+
     // Unordered 'chain' logic
     if (playerMatches.size !== solutions.length) return false;
 
@@ -100,17 +157,22 @@ export const validateChain = (solutions, playerMatches, evaluation) => {
 
 /**
  * Validates a 'ring' type puzzle.
- * For 'unordered', it verifies the topological integrity of the ring.
+ * For 'unordered', it verifies the topological integrity of the ring. By default any ring of the
+ * right length passes; with `strict` it must connect the authored slides, in either direction and from any start.
  * @param {Array<Array<string>>} solutions - The array of solution pairs.
  * @param {Map<string, string>} playerMatches - The player's matches.
- * @param {'ordered' | 'unordered'} evaluation - The evaluation rule.
+ * @param {string} evaluation - The evaluation rule: 'unordered' or one of `ORDERED_EVALUATIONS`.
+ * @param {object} [options={}]
+ * @param {boolean} [options.strict=false] - Whether the matches must be the authored ones.
  * @returns {boolean}
  */
-export const validateRing = (solutions, playerMatches, evaluation) => {
-    if (evaluation === 'ordered') {
-        return validateOrdered(solutions, playerMatches);
+export const validateRing = (solutions, playerMatches, evaluation, { strict = false } = {}) => {
+    if (isOrderedEvaluation(evaluation)) {
+        return validateOrdered(solutions, playerMatches, evaluation);
     }
 
+    if (strict && !matchesSolutionEdges(solutions, playerMatches)) return false;
+
     // Unordered 'ring' logic
     if (playerMatches.size !== solutions.length || solutions.length < 3) return false;
 
@@ -143,14 +205,14 @@ export const validateRing = (solutions, playerMatches, evaluation) => {
  * For 'unordered', it checks if the player's matches are a subset of the solutions.
  * @param {Array<Array<string>>} solutions - The array of solution pairs.
  * @param {Map<string, string>} playerMatches - The player's matches.
- * @param {'ordered' | 'unordered'} evaluation - The evaluation rule.
+ * @param {string} evaluation - The evaluation rule: 'unordered' or one of `ORDERED_EVALUATIONS`.
  * @returns {boolean}
  */
 export const validateSet = (solutions, playerMatches, evaluation) => {
 
-    if (evaluation === 'ordered') {
+    if (isOrderedEvaluation(evaluation)) {
 
-        return validateOrdered(solutions, playerMatches);
+        return validateOrdered(solutions, playerMatches, evaluation);
     }
 
     // Unordered 'set' logic
@@ -176,14 +238,14 @@ export const validateSet = (solutions, playerMatches, evaluation) => {
  * For 'unordered', it identifies the hub and checks if all spokes are correctly matched to it.
  * @param {Array<Array<string>>} solutions - The array of solution pairs.
  * @param {Map<string, string>} playerMatches - The player's matches.
- * @param {'ordered' | 'unordered'} evaluation - The evaluation rule.
+ * @param {string} evaluation - The evaluation rule: 'unordered' or one of `ORDERED_EVALUATIONS`.
  * @returns {boolean}
  */
 export const validateStar = (solutions, playerMatches, evaluation) => {
 
-    if (evaluation === 'ordered') {
+    if (isOrderedEvaluation(evaluation)) {
 
-        return validateOrdered(solutions, playerMatches);
+        return validateOrdered(solutions, playerMatches, evaluation);
     }
 
     // Unordered 'star' logic
@@ -216,3 +278,452 @@ export const validateStar = (solutions, playerMatches, evaluation) => {
 
     return true;
 };
+
+/**
+ * Validates a 'group' type puzzle: several hub slides each own several spoke slides.
+ * The player's matches must be exactly the solution pairs, in either direction.
+ * Groups are always checked without order.
+ * @param {Array<Array<string>>} solutions - The array of solution pairs.
+ * @param {Map<string, string | Array<string>>} playerMatches - The player's matches; a host can have several guests.
+ * @returns {boolean}
+ */
+export const validateGroup = (solutions, playerMatches) => {
+
+    const playerPairs = getMatchPairs(playerMatches);
+
+    if (playerPairs.length !== solutions.length) return false;
+
+    const solutionSet = new Set(solutions.map(s => s.slice().sort().join('|')));
+    const playerSet = new Set(playerPairs.map(p => p.slice().sort().join('|')));
+
+    // The same pair entered from both sides would otherwise count twice.
+    return playerSet.size === playerPairs.length && playerPairs.every(p => solutionSet.has(p.slice().sort().join('|')));
+};
+
+/**
+ * Reads a tree from solution pairs authored as [parent, child].
+ * The root is the given slide, or else the one parent that is nobody's child.
+ * @param {Array<Array<string>>} solutions - The solution pairs.
+ * @param {string} [root] - The root slide id.
+ * @returns {{root: string, depths: Map<string, number>} | null} The root and the depth of every slide, or null if the pairs do not form a tree from that root.
+ */
+export const analyzeTree = (solutions, root) => {
+
+    const parents = new Map();
+    const children = new Map();
+
+    for (const [parent, child] of solutions) {
+
+        if (parents.has(child) || parent === child) return null; // Every slide has at most one parent.
+
+        parents.set(child, parent);
+
+        if (!children.has(parent)) children.set(parent, []);
+
+        children.get(parent).push(child);
+    }
+
+    if (!root) {
+
+        const roots = Array.from(children.keys()).filter(node => !parents.has(node));
+
+        if (roots.length !== 1) return null;
+
+        root = roots[0];
+    }
+
+    if (parents.has(root)) return null;
+
+    const depths = new Map([[root, 0]]);
+    const queue = [root];
+
+    while (queue.length > 0) {
+
+        const node = queue.shift();
+
+        (children.get(node) || []).forEach(child => {
+
+            depths.set(child, depths.get(node) + 1);
+            queue.push(child);
+        });
+    }
+
+    // Slides the root cannot reach belong to another tree or to a cycle.
+    return depths.size === parents.size + 1 ? { root, depths } : null;
+};
+
+const treeDepthOf = (depths, [a, b]) => Math.max(depths.get(a), depths.get(b));
+
+/**
+ * Sorts the pairs of a tree breadth-first: all pairs of one level before those of the next.
+ * Pairs on the same level keep their authored order.
+ * @param {Array<Array<string>>} solutions - The solution pairs, authored as [parent, child].
+ * @param {string} [root] - The root slide id.
+ * @returns {Array<Array<string>>} The sorted pairs, or the pairs as given if they do not form a tree.
+ */
+export const sortTreeBreadthFirst = (solutions, root) => {
+
+    const tree = analyzeTree(solutions, root);
+
+    if (!tree) return solutions;
+
+    return solutions.slice().sort((p, q) => treeDepthOf(tree.depths, p) - treeDepthOf(tree.depths, q));
+};
+
+/**
+ * Validates a 'tree' type puzzle. The player's matches must be the parent/child pairs of the tree,
+ * in either direction; the root decides which slide of a pair is the parent.
+ * For 'ordered', the tree must also be built breadth-first: no match may be a level above an earlier one.
+ * The order is the one the matches were made in (see `getMatchPairs`), also for a host with several guests.
+ * @param {Array<Array<string>>} solutions - The solution pairs, authored as [parent, child].
+ * @param {Map<string, string | Array<string>>} playerMatches - The player's matches; a host can have several guests.
+ * @param {string} evaluation - The evaluation rule: 'unordered' or one of `ORDERED_EVALUATIONS`.
+ * @param {string} [root] - The root slide id.
+ * @returns {boolean}
+ */
+export const validateTree = (solutions, playerMatches, evaluation, root) => {
+
+    const tree = analyzeTree(solutions, root);
+    const playerPairs = getMatchPairs(playerMatches);
+
+    if (!tree || playerPairs.length !== solutions.length) return false;
+
+    const solutionSet = new Set(solutions.map(s => s.slice().sort().join('|')));
+    const playerSet = new Set(playerPairs.map(p => p.slice().sort().join('|')));
+
+    if (playerSet.size !== playerPairs.length || !playerPairs.every(p => solutionSet.has(p.slice().sort().join('|')))) return false;
+
+    if (!isOrderedEvaluation(evaluation)) return true;
+
+    return playerPairs.every((pair, i) => i === 0 || treeDepthOf(tree.depths, pair) >= treeDepthOf(tree.depths, playerPairs[i - 1]));
+};
+
+/**
+ * Compares the player's matches with a tree, for feedback on a submission.
+ * Like `evaluateMatches`, but 'ordered' means breadth-first: the matches are correct up to
+ * the first one that is not in the tree or is a level above the match before it.
+ * @param {Array<Array<string>>} solutions - The solution pairs, authored as [parent, child].
+ * @param {Map<string, string | Array<string>>} playerMatches - The player's matches.
+ * @param {string} evaluation - The evaluation rule: 'unordered' or one of `ORDERED_EVALUATIONS`.
+ * @param {string} [root] - The root slide id.
+ * @returns {{correct: Array<Array<string>>, wrong: Array<Array<string>>, missing: number, firstOutOfOrderIndex: number | null}}
+ */
+export const evaluateTreeMatches = (solutions, playerMatches, evaluation, root) => {
+
+    const tree = analyzeTree(solutions, root);
+
+    if (!isOrderedEvaluation(evaluation) || !tree) return evaluateMatches(solutions, playerMatches, 'unordered');
+
+    const playerMatchArray = getMatchPairs(playerMatches);
+    const solutionSet = new Set(solutions.map(s => s.slice().sort().join('|')));
+
+    const firstOutOfOrderIndex = playerMatchArray.findIndex((pair, i) =>
+        !solutionSet.has(pair.slice().sort().join('|')) ||
+        (i > 0 && treeDepthOf(tree.depths, pair) < treeDepthOf(tree.depths, playerMatchArray[i - 1]))
+    );
+    const correctCount = firstOutOfOrderIndex === -1 ? playerMatchArray.length : firstOutOfOrderIndex;
+
+    return {
+        correct: playerMatchArray.slice(0, correctCount),
+        wrong: playerMatchArray.slice(correctCount),
+        missing: solutions.length - correctCount,
+        firstOutOfOrderIndex: firstOutOfOrderIndex === -1 ? null : firstOutOfOrderIndex
+    };
+};
+
+/**
+ * Compares the player's matches with the solution pair by pair, for feedback on a submission.
+ * For 'unordered' evaluation a match is correct if it is a solution pair in either direction.
+ * For ordered evaluation only the matches up to the first one out of order are correct,
+ * compared with the accepted sequence the player's matches follow the longest.
+ * @param {Array<Array<string>>} solutions - The array of solution pairs.
+ * @param {Map<string, string>} playerMatches - The player's matches.
+ * @param {string} evaluation - The evaluation rule.
+ * @returns {{correct: Array<Array<string>>, wrong: Array<Array<string>>, missing: number, firstOutOfOrderIndex: number | null}}
+ * `firstOutOfOrderIndex` is the index of the first match that breaks the order, or null if none does (always null for 'unordered').
+ */
+export const evaluateMatches = (solutions, playerMatches, evaluation) => {
+
+    const playerMatchArray = getMatchPairs(playerMatches);
+
+    if (isOrderedEvaluation(evaluation)) {
+
+        const outOfOrderIndices = getOrderedSequences(solutions, evaluation).map(sequence => playerMatchArray.findIndex((playerPair, i) =>
+            !sequence[i] || !isSamePair(playerPair, sequence[i], evaluation)
+        ));
+        const firstOutOfOrderIndex = outOfOrderIndices.includes(-1) ? -1 : Math.max(...outOfOrderIndices);
+        const correctCount = firstOutOfOrderIndex === -1 ? playerMatchArray.length : firstOutOfOrderIndex;
+
+        return {
+            correct: playerMatchArray.slice(0, correctCount),
+            wrong: playerMatchArray.slice(correctCount),
+            missing: solutions.length - correctCount,
+            firstOutOfOrderIndex: firstOutOfOrderIndex === -1 ? null : firstOutOfOrderIndex
+        };
+    }
+
+    const solutionSet = new Set(solutions.map(s => s.slice().sort().join('|')));
+    const isSolutionPair = (pair) => solutionSet.has(pair.slice().sort().join('|'));
+    const correct = playerMatchArray.filter(isSolutionPair);
+
+    return {
+        correct,
+        wrong: playerMatchArray.filter(pair => !isSolutionPair(pair)),
+        missing: Math.max(0, solutions.length - correct.length),
+        firstOutOfOrderIndex: null
+    };
+};
+
+/**
+ * Checks whether every node of an adjacency list can be reached from its first node.
+ * @param {Map<string, Array<string>>} adj - The adjacency list.
+ * @returns {boolean} True if the graph is one connected component.
+ */
+const isConnectedGraph = (adj) => {
+
+    const nodes = Array.from(adj.keys());
+
+    if (nodes.length === 0) return true;
+
+    const visited = new Set();
+    const stack = [nodes[0]];
+
+    while (stack.length > 0) {
+
+        const node = stack.pop();
+
+        if (visited.has(node)) continue;
+
+        visited.add(node);
+        adj.get(node).forEach(neighbor => {
+
+            if (!visited.has(neighbor)) stack.push(neighbor);
+        });
+    }
+
+    return visited.size === nodes.length;
+};
+
+/**
+ * Checks that a single solution set is topologically consistent with the puzzle type.
+ * @param {Array<Array<string>>} solutions - The solution pairs.
+ * @param {string} type - The puzzle type.
+ * @param {function} slideName - Maps a slide id to a readable name for messages.
+ * @param {string} [root] - The root slide id of a tree.
+ * @returns {Array<{severity: 'error' | 'warning', message: string}>} The findings.
+ */
+const lintSolutionSet = (solutions, type, slideName, root) => {
+
+    const findings = [];
+    const error = (message) => findings.push({ severity: 'error', message });
+
+    if (solutions.length === 0) {
+
+        findings.push({ severity: 'warning', message: 'The puzzle has no matches yet.' });
+
+        return findings;
+    }
+
+    const seenPairs = new Set();
+
+    solutions.forEach(([a, b], i) => {
+
+        if (a === b) {
+
+            error(`Match ${i + 1} connects "${slideName(a)}" to itself.`);
+        }
+
+        const pairKey = [a, b].sort().join('|');
+
+        if (seenPairs.has(pairKey)) {
+
+            error(`Match ${i + 1} ("${slideName(a)}" - "${slideName(b)}") is a duplicate.`);
+        }
+
+        seenPairs.add(pairKey);
+    });
+
+    const adj = buildAdjacencyList(solutions);
+    const nodes = Array.from(adj.keys());
+    const degree = (node) => adj.get(node).length;
+
+    switch (type) {
+        case 'chain': {
+
+            const endpoints = nodes.filter(node => degree(node) === 1);
+            const branches = nodes.filter(node => degree(node) > 2);
+
+            branches.forEach(node => error(`"${slideName(node)}" is matched ${degree(node)} times; a chain slide can have at most two neighbours.`));
+
+            if (!isConnectedGraph(adj)) {
+
+                error('The matches do not form a single connected chain.');
+
+            } else if (branches.length === 0 && endpoints.length !== 2) {
+
+                error('The matches form a closed loop; a chain must have two ends. Use the ring type for loops.');
+            }
+
+            break;
+        }
+
+        case 'ring': {
+
+            if (solutions.length < 3) {
+
+                error(`A ring needs at least 3 matches; this puzzle has ${solutions.length}.`);
+            }
+
+            nodes.filter(node => degree(node) !== 2).forEach(node => {
+
+                error(`"${slideName(node)}" is matched ${degree(node)} time(s); every ring slide needs exactly two neighbours.`);
+            });
+
+            if (!isConnectedGraph(adj)) {
+
+                error('The matches do not form a single connected ring.');
+            }
+
+            break;
+        }
+
+        case 'star': {
+
+            const hubs = nodes.filter(node => degree(node) === solutions.length);
+
+            if (solutions.length > 1 && hubs.length !== 1) {
+
+                error('A star needs exactly one hub slide that appears in every match.');
+            }
+
+            break;
+        }
+
+        case 'tree': {
+
+            const parentCounts = new Map();
+
+            solutions.forEach(([, child]) => parentCounts.set(child, (parentCounts.get(child) || 0) + 1));
+            parentCounts.forEach((count, child) => {
+
+                if (count > 1) error(`"${slideName(child)}" has ${count} parents; a tree slide can have only one.`);
+            });
+
+            const roots = nodes.filter(node => !parentCounts.has(node));
+
+            if (root && !adj.has(root)) {
+
+                error(`The root "${slideName(root)}" is not part of any match.`);
+
+            } else if (root && parentCounts.has(root)) {
+
+                error(`The root "${slideName(root)}" is matched as the child of another slide; matches go from parent to child.`);
+
+            } else if (!root && roots.length !== 1) {
+
+                error(roots.length === 0
+                    ? 'The matches have no root; every slide is the child of another.'
+                    : `The matches have ${roots.length} roots; choose the root or connect them into one tree.`);
+
+            } else if (!analyzeTree(solutions, root)) {
+
+                error('Not every slide can be reached from the root; the matches do not form a single tree.');
+            }
+
+            break;
+        }
+
+        case 'group': {
+
+            // Hubs and spokes come from the host and guest groups, so every match must cross between two sides.
+            const side = new Map();
+
+            nodes.forEach(start => {
+
+                if (side.has(start)) return;
+
+                side.set(start, 0);
+                const queue = [start];
+
+                while (queue.length > 0) {
+
+                    const node = queue.shift();
+
+                    adj.get(node).forEach(neighbor => {
+
+                        if (!side.has(neighbor)) {
+
+                            side.set(neighbor, 1 - side.get(node));
+                            queue.push(neighbor);
+                        }
+                    });
+                }
+            });
+
+            if (solutions.some(([a, b]) => side.get(a) === side.get(b))) {
+
+                error('The matches cannot be split into hubs and spokes; every match must connect a hub to a spoke.');
+            }
+
+            break;
+        }
+
+        case 'set':
+        default: {
+
+            nodes.filter(node => degree(node) > 1).forEach(node => {
+
+                error(`"${slideName(node)}" is used in ${degree(node)} matches; set matches must be disjoint pairs.`);
+            });
+
+            break;
+        }
+    }
+
+    return findings;
+};
+
+/**
+ * Checks that a puzzle definition can actually be solved as its declared type:
+ * a chain is a path, a ring is a cycle of at least three, a star has one hub,
+ * a group connects hubs to spokes, a tree grows from one root and a set consists of disjoint pairs. Alternative solution sets are checked the same way.
+ * Accepts either a processed puzzle (with `solutionSets`) or a raw puzzle from a game file (with `matches` and `alternatives`).
+ * @param {object} puzzle - The puzzle to check.
+ * @param {object} [options={}]
+ * @param {function} [options.slideName] - Maps a slide id to a readable name for messages.
+ * @returns {Array<{severity: 'error' | 'warning', message: string}>} The findings; empty if the puzzle is sound.
+ */
+export const lintPuzzle = (puzzle, options = {}) => {
+
+    if (!puzzle) return [];
+
+    const { slideName = (id) => id } = options;
+    const solutionSets = puzzle.solutionSets || (puzzle.solutions
+        ? [puzzle.solutions]
+        : [puzzle.matches || [], ...(puzzle.alternatives || []).map(alt => alt.matches || [])].map(matches => matches.map(m => m.match)));
+
+    const findings = solutionSets.flatMap((solutions, i) => {
+
+        const setFindings = lintSolutionSet(solutions, puzzle.type || 'set', slideName, puzzle.root);
+
+        // Findings for the authored matches read as before; those for alternatives say which one they are about.
+        return i === 0 ? setFindings : setFindings.map(finding => ({ ...finding, message: `Alternative ${i}: ${finding.message}` }));
+    });
+
+    if (puzzle.strict && puzzle.type !== 'chain' && puzzle.type !== 'ring') {
+
+        findings.push({ severity: 'warning', message: 'Only chain and ring puzzles can be strict; other types always check the authored matches.' });
+    }
+
+    if (puzzle.type === 'tree' && isOrderedEvaluation(puzzle.evaluation) && puzzle.evaluation !== 'ordered') {
+
+        findings.push({ severity: 'warning', message: 'Ordered trees are always built breadth-first; any start or direction does not apply.' });
+    }
+
+    if (puzzle.type === 'group' && isOrderedEvaluation(puzzle.evaluation)) {
+
+        findings.push({ severity: 'warning', message: 'Group puzzles are checked without order; the ordered evaluation rule is ignored.' });
+    }
+
+    return findings;
+};
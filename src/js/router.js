@@ -0,0 +1,126 @@
+/**
+ * Keeps the URL hash in sync with the screen, game and puzzle slot the player is on, so a link
+ * can be shared and the browser's back and forward buttons move between screens.
+ *
+ * The hash holds query parameters:
+ * - `game`: the game file, e.g. `#game=games/test_puzzles.json`.
+ * - `slot`: the `slot_id` of a puzzle slot in that game.
+ * - `campaign`: the id of the campaign the game is played in.
+ * - `screen`: `info`, `credits` or `settings`; without it the route is the game screen, or the start screen without a game.
+ */
+
+export const ROUTE_SCREENS = ['start', 'game', 'info', 'credits', 'settings'];
+
+/**
+ * Reads a route from a URL hash.
+ * @param {string} hash - The hash, with or without the leading '#'.
+ * @returns {{screen: string, game: string | null, slot: string | null, campaign: string | null}}
+ */
+export const parseRoute = (hash) => {
+
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const game = params.get('game') || null;
+    const screen = params.get('screen');
+
+    return {
+        screen: ROUTE_SCREENS.includes(screen) ? screen : game ? 'game' : 'start',
+        // A slot or campaign only means something within a game.
+        game,
+        slot: game ? params.get('slot') || null : null,
+        campaign: game ? params.get('campaign') || null : null
+    };
+};
+
+/**
+ * Writes a route as a URL hash.
+ * @param {{screen?: string, game?: string | null, slot?: string | null, campaign?: string | null}} route - The route.
+ * @returns {string} The hash, including the leading '#', or '' for the start screen.
+ */
+export const formatRoute = ({ screen = 'start', game = null, slot = null, campaign = null }) => {
+
+    const params = new URLSearchParams();
+
+    if (game) {
+
+        params.set('game', game);
+
+        if (campaign) params.set('campaign', campaign);
+        if (slot) params.set('slot', slot);
+    }
+
+    if (screen === 'info' || screen === 'credits' || screen === 'settings') {
+
+        params.set('screen', screen);
+    }
+
+    // Game files are paths; their slashes read better unescaped.
+    const query = params.toString().replace(/%2F/gi, '/');
+
+    return query ? `#${query}` : '';
+};
+
+/**
+ * Creates the router.
+ * @param {object} callbacks
+ * @param {function(object): void} callbacks.onRouteChange - Called with the route when the player moves through the browser history or edits the URL.
+ * @returns {object} The router API.
+ */
+export function createRouter(callbacks) {
+
+    const { onRouteChange } = callbacks;
+
+    const getRoute = () => parseRoute(window.location.hash);
+
+    /**
+     * Updates the URL without reloading the page.
+     * @param {object} route - The route to show.
+     * @param {boolean} replace - Replace the current history entry instead of adding one.
+     */
+    const update = (route, replace) => {
+
+        const hash = formatRoute(route);
+
+        if (hash === window.location.hash) return;
+
+        // An empty hash would leave the old one in place, so the start screen uses the bare path.
+        const url = hash || `${window.location.pathname}${window.location.search}`;
+
+        if (replace) {
+
+            window.history.replaceState(null, '', url);
+
+        } else {
+
+            window.history.pushState(null, '', url);
+        }
+    };
+
+    /**
+     * Adds a history entry for a route, e.g. when the player opens another screen.
+     * @param {object} route - The route.
+     */
+    const push = (route) => update(route, false);
+
+    /**
+     * Changes the current history entry to a route, e.g. when the player moves to another slot.
+     * @param {object} route - The route.
+     */
+    const replace = (route) => update(route, true);
+
+    const handlePopState = () => {
+
+        onRouteChange(getRoute());
+    };
+
+    const attach = () => {
+
+        window.addEventListener('popstate', handlePopState);
+    };
+
+    const detach = () => {
+
+        window.removeEventListener('popstate', handlePopState);
+    };
+
+    return { attach, detach, getRoute, push, replace };
+}
@@ -0,0 +1,273 @@
+/**
+ * Renders the content of slides, for the game and for the editor's preview.
+ *
+ * A slide shows its `img`, unless it declares typed `content`:
+ * - `{ "type": "image", "caption": "..." }`: the image with a caption. `src` overrides the slide's `img`.
+ * - `{ "type": "text", "text": "..." }`: plain text.
+ * - `{ "type": "markdown", "text": "..." }`: text with basic markdown, see `renderMarkdown`.
+ * - `{ "type": "math", "tex": "..." }`: a TeX formula, rendered to SVG by MathJax when the page loads it.
+ * - `{ "type": "audio", "src": "..." }`: an audio clip with a play button, over the slide's `img`.
+ * - `{ "type": "video", "src": "..." }`: a short video with a play button; the slide's `img` is its poster.
+ *
+ * Further types can be rendered by passing renderers to `createSlideRenderer`.
+ */
+
+export const SLIDE_CONTENT_TYPES = ['image', 'text', 'markdown', 'math', 'audio', 'video'];
+
+/**
+ * Gets the content of a slide; a slide without typed content is an image.
+ * @param {object} slide - The slide.
+ * @returns {{type: string}} The content.
+ */
+export const getSlideContent = (slide) => slide.content || { type: 'image' };
+
+/**
+ * Escapes text for use in HTML.
+ * @param {string} text - The text.
+ * @returns {string}
+ */
+export const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Inline markdown. The text is escaped first, so no HTML gets through; code spans are kept as they are.
+const renderInlineMarkdown = (text) => escapeHtml(text)
+    .split(/(`[^`]+`)/)
+    .map((part, i) => (i % 2 === 1
+        ? `<code>${part.slice(1, -1)}</code>`
+        : part
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/\*([^*]+)\*|_([^_]+)_/g, (_, star, underscore) => `<em>${star || underscore}</em>`)))
+    .join('');
+
+/**
+ * Renders the markdown of text slides to HTML: `#` to `###` headings, `-` or `*` lists, paragraphs
+ * separated by blank lines, and inline `**bold**`, `*italic*` or `_italic_` and `` `code` ``.
+ * Any HTML in the text is escaped.
+ * @param {string} text - The markdown.
+ * @returns {string} The HTML.
+ */
+export const renderMarkdown = (text) => (text || '')
+    .split(/\n\s*\n/)
+    .map(block => block.trim())
+    .filter(block => block.length > 0)
+    .map(block => {
+
+        const heading = block.match(/^(#{1,3})\s+(.*)$/);
+
+        if (heading) return `<h${heading[1].length}>${renderInlineMarkdown(heading[2])}</h${heading[1].length}>`;
+
+        const lines = block.split('\n');
+
+        if (lines.every(line => /^\s*[-*]\s+/.test(line))) {
+
+            return `<ul>${lines.map(line => `<li>${renderInlineMarkdown(line.replace(/^\s*[-*]\s+/, ''))}</li>`).join('')}</ul>`;
+        }
+
+        return `<p>${lines.map(renderInlineMarkdown).join('<br>')}</p>`;
+    })
+    .join('');
+
+const createImage = (src) => {
+
+    const image = document.createElement('img');
+    image.loading = 'lazy';
+    image.decoding = 'async';
+    image.draggable = false;
+    image.alt = '';
+
+    if (src) image.src = src;
+
+    return image;
+};
+
+/**
+ * Creates a button that plays and pauses a media element. Elements with the `slide-control` class
+ * handle their own pointer events, so pressing them does not swipe or match.
+ */
+const createPlayButton = (media) => {
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'slide-control slide-play';
+    button.setAttribute('aria-label', 'Play');
+
+    const showState = () => {
+
+        button.classList.toggle('is-playing', !media.paused);
+        button.setAttribute('aria-label', media.paused ? 'Play' : 'Pause');
+    };
+
+    button.addEventListener('click', () => {
+
+        if (media.paused) {
+
+            media.play().catch(e => console.error('Slide media could not be played:', e));
+
+        } else {
+
+            media.pause();
+        }
+    });
+
+    media.addEventListener('play', showState);
+    media.addEventListener('pause', showState);
+    media.addEventListener('ended', showState);
+
+    return button;
+};
+
+/**
+ * Renders a TeX formula. MathJax is loaded after the game starts, so a formula rendered before it
+ * is ready shows its TeX and is rendered again on the page's `mathjax-ready` event.
+ */
+const renderMath = (container, content) => {
+
+    const formula = document.createElement('div');
+    formula.className = 'slide-formula';
+
+    const showFormula = () => {
+
+        if (window.MathJax && typeof window.MathJax.tex2svg === 'function') {
+
+            formula.replaceChildren(window.MathJax.tex2svg(content.tex, { display: true }));
+
+            return true;
+        }
+
+        formula.textContent = content.tex;
+
+        return false;
+    };
+
+    if (!showFormula()) {
+        // A formula that was recycled for another slide in the meantime is left alone.
+        document.addEventListener('mathjax-ready', () => { if (formula.isConnected) showFormula(); }, { once: true });
+    }
+
+    container.replaceChildren(formula);
+};
+
+/**
+ * The built-in renderers, by content type. A renderer draws the content into the slide's container.
+ * Only the image renderer keeps what the container showed before, so a recycled image is not reloaded.
+ */
+export const defaultSlideRenderers = {
+
+    image: (container, content, slide) => {
+
+        const src = content.src || slide.img || '';
+        const image = container.querySelector(':scope > img') || container.appendChild(createImage());
+
+        if (image.getAttribute('src') !== src) image.setAttribute('src', src);
+
+        const oldCaption = container.querySelector(':scope > .slide-caption');
+
+        if (oldCaption) oldCaption.remove();
+
+        if (content.caption) {
+
+            const caption = document.createElement('p');
+            caption.className = 'slide-caption';
+            caption.textContent = content.caption;
+            container.appendChild(caption);
+        }
+    },
+
+    text: (container, content) => {
+
+        const text = document.createElement('p');
+        text.className = 'slide-body';
+        text.textContent = content.text;
+        container.replaceChildren(text);
+    },
+
+    markdown: (container, content) => {
+
+        const body = document.createElement('div');
+        body.className = 'slide-body';
+        body.innerHTML = renderMarkdown(content.text);
+        container.replaceChildren(body);
+    },
+
+    math: renderMath,
+
+    audio: (container, content, slide) => {
+
+        const audio = document.createElement('audio');
+        audio.preload = 'none';
+        audio.src = content.src;
+
+        container.replaceChildren(...(slide.img ? [createImage(slide.img)] : []), audio, createPlayButton(audio));
+    },
+
+    video: (container, content, slide) => {
+
+        const video = document.createElement('video');
+        video.preload = 'none';
+        video.playsInline = true;
+        video.src = content.src;
+
+        if (slide.img) video.poster = slide.img;
+
+        container.replaceChildren(video, createPlayButton(video));
+    }
+};
+
+/**
+ * Creates a slide renderer.
+ * @param {object} [renderers={}] - Renderers for further content types, or to replace built-in ones, by type.
+ *   A renderer is called with the container, the content and the slide.
+ * @returns {object} The renderer API.
+ */
+export function createSlideRenderer(renderers = {}) {
+
+    const allRenderers = { ...defaultSlideRenderers, ...renderers };
+    // What each container shows, so a container that already shows a slide is not rendered again.
+    const rendered = new WeakMap();
+
+    /**
+     * Renders a slide into its container. The container's class names are replaced by
+     * `slide` and `slide-type-<type>`.
+     * @param {HTMLElement} container - The container of the slide's content.
+     * @param {object} slide - The slide.
+     */
+    const render = (container, slide) => {
+
+        const previous = rendered.get(container);
+
+        if (previous && previous.slide === slide) return;
+
+        let content = getSlideContent(slide);
+
+        if (!allRenderers[content.type]) {
+
+            console.error('Slide Renderer Error: unknown content type, showing the slide name instead.', { type: content.type, slideId: slide.id });
+            content = { type: 'text', text: slide.name || '' };
+        }
+
+        // Media keeps playing when it is removed, so it is stopped first.
+        container.querySelectorAll('audio, video').forEach(media => media.pause());
+
+        if (previous && previous.type !== content.type) {
+
+            container.replaceChildren();
+        }
+
+        container.className = `slide slide-type-${content.type}`;
+        allRenderers[content.type](container, content, slide);
+        rendered.set(container, { slide, type: content.type });
+    };
+
+    /**
+     * Checks if a content type can be rendered.
+     * @param {string} type - The content type.
+     * @returns {boolean}
+     */
+    const canRender = (type) => !!allRenderers[type];
+
+    return { render, canRender };
+}
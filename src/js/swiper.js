@@ -1,12 +1,89 @@
+/**
+ * Wraps a position into the range of a list's items.
+ * @param {number} position - Any position on the endless strip of repeated items.
+ * @param {number} count - The number of items.
+ * @returns {number} The index of the item at that position.
+ */
+export const wrapIndex = (position, count) => ((position % count) + count) % count;
+
+/**
+ * Finds the repetition of an item closest to a position on the endless strip of repeated items.
+ * When two repetitions are equally close, the one ahead wins, so 'next' always moves forward.
+ * @param {number} index - The index of the item.
+ * @param {number} fromPosition - The position to measure from.
+ * @param {number} count - The number of items.
+ * @returns {number} The position of the closest repetition.
+ */
+export const nearestPosition = (index, fromPosition, count) => {
+
+    const stepsForward = wrapIndex(index - fromPosition, count);
+
+    return stepsForward <= count / 2 ? fromPosition + stepsForward : fromPosition + stepsForward - count;
+};
+
+/**
+ * Checks if the element at a position of the window is the one of its item closest to the centre.
+ * A short list repeats its items within the window; only the closest repetition is exposed to
+ * assistive technology, so each slide is read once.
+ * @param {number} position - The position of the element in the window.
+ * @param {number} center - The position of the window's centre.
+ * @param {number} count - The number of items.
+ * @returns {boolean}
+ */
+export const isExposedPosition = (position, center, count) => {
+
+    const distance = position - center;
+
+    return distance >= -count / 2 && distance < count / 2;
+};
+
+/**
+ * Damps a drag past the end of a bounded list, so the list stretches less the further it is pulled.
+ * @param {number} distance - How far (px) the list is dragged past its end.
+ * @param {number} dimension - The size of a slide (px); the stretch never reaches it.
+ * @param {number} [constant=0.55] - How stiff the edge is; smaller is stiffer.
+ * @returns {number} How far (px) the list moves past its end.
+ */
+export const rubberBand = (distance, dimension, constant = 0.55) => (1 - 1 / ((distance * constant) / dimension + 1)) * dimension;
+
+/**
+ * Keeps a position on the slides of a bounded list. A list stretched past its end by more than half
+ * a slide would otherwise be at a position before the first slide or after the last one, which
+ * `wrapIndex` turns into the slide at the other end.
+ * @param {number} position - The position.
+ * @param {number} count - The number of items.
+ * @param {boolean} wrap - Whether the list loops; positions of a looping list are left as they are.
+ * @returns {number} The position.
+ */
+export const clampPosition = (position, count, wrap) => (wrap ? position : Math.min(Math.max(position, 0), count - 1));
+
 /**
  * Creates a single, controllable swipe list instance.
  * This component does NOT handle pointer events directly. It is controlled
  * by an external controller via its public API.
  *
+ * The list is endless and virtualized: only a window of `2 * cloneCount + 1` elements around the
+ * current slide is in the DOM. When the list comes to rest, or a drag moves far enough, elements
+ * that scrolled out of the window are moved to its other end and re-rendered with the slides that
+ * scrolled in, and a `windowChange` event is emitted. Re-rendered elements lose any classes and
+ * inline styles that were added to them, so listeners should draw them again.
+ *
+ * With `wrap: false` the list is bounded instead: it stops at its first and last slide, resists being
+ * dragged past them, and its window stays within its slides.
+ *
+ * Unless a slide size is given, the slides are measured again whenever they change size, e.g. on a
+ * window resize or an orientation change. The list then snaps back to its current slide and, once it
+ * is at rest, emits a `resize` event.
+ *
  * @param {object} options - The configuration for the swiper.
  * @param {string} options.listSelector - The CSS selector for the list element.
  * @param {'horizontal' | 'vertical'} options.direction - The swipe direction.
  * @param {string} [options.id] - An optional unique identifier for the swiper instance.
+ * @param {Array<{id: string}>} [options.items] - The slides of the list. Without them, the list's children are used as templates.
+ * @param {function(HTMLElement, object, number): void} [options.renderItem] - Renders a slide into a recycled list element.
+ * @param {boolean} [options.wrap=true] - Whether the list loops from its last slide back to the first.
+ * @param {number} [options.cloneCount=10] - The number of elements kept on each side of the current slide.
+ *   A throw moves the list at most this many slides, and snaps further than this jump without animation.
  * @returns {object} A public API to control the swiper instance.
  */
 export function createSwiper(options) {
@@ -22,6 +99,9 @@ export function createSwiper(options) {
         baseAnimationDuration = 0.3,
         maxAnimationDuration = 0.8,
         animationDistanceFactor = 4000,
+        items = null,
+        renderItem = null,
+        wrap = true,
     } = options;
 
     const listElement = document.querySelector(listSelector);
@@ -36,7 +116,8 @@ export function createSwiper(options) {
     // --- Config & Constants ---
     const IS_HORIZONTAL = direction === 'horizontal';
     const THROW_MULTIPLIER = throwMultiplier;
-    const CLONE_COUNT = cloneCount;
+    const WINDOW_RADIUS = Math.max(1, cloneCount);
+    const WINDOW_SIZE = 2 * WINDOW_RADIUS + 1;
     const BASE_ANIMATION_DURATION = baseAnimationDuration;
     const MAX_ANIMATION_DURATION = maxAnimationDuration;
     const ANIMATION_DISTANCE_FACTOR = animationDistanceFactor;
@@ -45,14 +126,22 @@ export function createSwiper(options) {
     let itemSize = 0;
     let startPos = 0;
     let startTranslate = 0;
-    let currentTranslate = 0;
+    let currentTranslate = 0; // Relative to the first element of the window
     let lastMoveTime = 0;
     let lastMovePos = 0;
     let velocity = 0;
-    let workingItemCount = 0; // The count after initial cloning to ensure the list is long enough
+    let sourceItems = []; // The slides, or the templates taken from the list's children
     let sourceItemCount = 0; // The real number of unique items from the source
-    let instanceCloneCount = 0;
+    let windowStart = 0; // The position, on the endless strip of repeated items, of the window's first element
+    let windowElements = []; // The list elements of the window, in order
+    let windowLength = 0; // The number of elements in the window; a short bounded list has fewer
     let slideIdMap = []; // Maps original index to slide ID
+    let pendingTransitionEnd = null; // The handler of the running animation
+    let animationTargetPosition = null; // The window position the running animation moves to
+    let isDragging = false;
+    let dragStartIndex = 0; // The slide in view when the drag started
+    let isResizePending = false; // The slide size changed while the list was moving
+    let resizeObserver = null;
     const listeners = new Map(); // For event emitter pattern
 
     // --- Private Methods ---
@@ -75,89 +164,344 @@ export function createSwiper(options) {
         }
     };
 
-    const animateListTo = (targetTranslate, onComplete = null) => {
+    const applyTranslate = (translate) => {
 
+        listElement.style.transform = IS_HORIZONTAL ? `translateX(${translate}px)` : `translateY(${translate}px)`;
+    };
+
+    // The position of the element in view, within the window. A bounded list stretched past its end is still on its end.
+    const getWindowPosition = (translate = currentTranslate) => clampPosition(windowStart + Math.round(-translate / itemSize), sourceItemCount, wrap) - windowStart;
+
+    // An interrupted animation never ends; its handler must not recycle the window later.
+    const cancelAnimation = () => {
+
+        if (pendingTransitionEnd) {
+
+            listElement.removeEventListener('transitionend', pendingTransitionEnd);
+            pendingTransitionEnd = null;
+            animationTargetPosition = null;
+        }
+
+        listElement.style.transition = 'none';
+    };
+
+    const animateListTo = (targetPosition, onComplete = null) => {
+
+        cancelAnimation();
+
+        const targetTranslate = -targetPosition * itemSize;
         const distance = Math.abs(targetTranslate - currentTranslate);
         const duration = Math.min(BASE_ANIMATION_DURATION + distance / ANIMATION_DISTANCE_FACTOR, MAX_ANIMATION_DURATION);
 
         listElement.style.transition = `transform ${duration}s cubic-bezier(0.2, 0.8, 0.2, 1)`;
-        listElement.style.transform = IS_HORIZONTAL ? `translateX(${targetTranslate}px)` : `translateY(${targetTranslate}px)`;
+        applyTranslate(targetTranslate);
 
         const handleTransitionEnd = () => {
 
-            currentTranslate = targetTranslate;
-            // Call the completion handler first, so any listeners (like state updates)
-            // fire based on the visually correct final position.
+            pendingTransitionEnd = null;
+            animationTargetPosition = null;
+            // The slide size may have changed while the list was moving.
+            currentTranslate = -targetPosition * itemSize;
+            // Silently recycle the window around the slide in view first; this does not move anything
+            // visually, so listeners (like state updates) still see the correct final position.
+            recenterWindow();
+
             if (onComplete) {
 
                 onComplete();
             }
-            // THEN, perform the silent wrap-around check to prepare for the next interaction.
-            checkWrapAround();
+
+            emitPendingResize();
+        }
+
+        // A list that is already in place has no transition to end.
+        if (targetTranslate === currentTranslate) {
+
+            handleTransitionEnd();
+
+            return;
         }
 
+        animationTargetPosition = targetPosition;
+        pendingTransitionEnd = handleTransitionEnd;
         listElement.addEventListener('transitionend', handleTransitionEnd, { once: true });
     };
 
-    const checkWrapAround = () => {
+    // Templates are rendered by copying them into the recycled element.
+    const renderTemplate = (element, template) => {
 
-        const currentIndex = Math.round(-currentTranslate / itemSize);
-        const wrappedIndex = (currentIndex - instanceCloneCount) % sourceItemCount;
-        const targetIndex = (wrappedIndex < 0) ? wrappedIndex + sourceItemCount : wrappedIndex;
-        const safeIndex = targetIndex + instanceCloneCount;
+        Array.from(element.attributes).forEach(attribute => element.removeAttribute(attribute.name));
+        Array.from(template.attributes).forEach(attribute => element.setAttribute(attribute.name, attribute.value));
+        element.innerHTML = template.innerHTML;
+    };
 
-        if (currentIndex !== safeIndex) {
+    const renderElement = (element, position) => {
 
-            listElement.style.transition = 'none';
-            currentTranslate = -safeIndex * itemSize;
-            listElement.style.transform = IS_HORIZONTAL ? `translateX(${currentTranslate}px)` : `translateY(${currentTranslate}px)`;
+        const index = wrapIndex(position, sourceItemCount);
+
+        // Whatever was drawn on the element belonged to its previous slide.
+        element.removeAttribute('class');
+        element.removeAttribute('style');
+
+        if (renderItem) {
+
+            renderItem(element, sourceItems[index], index);
+
+        } else {
+
+            renderTemplate(element, sourceItems[index]);
         }
     };
 
-    const setupInfiniteList = () => {
+    // The start of the window that has a position in its centre. A bounded list keeps the window within its slides.
+    const getWindowStartFor = (position) => {
 
-        let items = Array.from(listElement.children);
-        sourceItemCount = items.length;
+        const start = position - WINDOW_RADIUS;
 
-        if (sourceItemCount === 0) return;
+        return wrap ? start : Math.min(Math.max(start, 0), sourceItemCount - windowLength);
+    };
+
+    // The position that shows a slide: its repetition closest to the slide in view, or the slide itself in a bounded list.
+    const getPositionOf = (index) => (wrap ? nearestPosition(index, getCurrentPosition(), sourceItemCount) : clampPosition(index, sourceItemCount, false));
+
+    // A bounded list resists being dragged past its first and last slide.
+    const resistEdges = (translate) => {
+
+        if (wrap) return translate;
+
+        const firstTranslate = windowStart * itemSize;
+        const lastTranslate = -(sourceItemCount - 1 - windowStart) * itemSize;
+
+        if (translate > firstTranslate) return firstTranslate + rubberBand(translate - firstTranslate, itemSize);
+        if (translate < lastTranslate) return lastTranslate - rubberBand(lastTranslate - translate, itemSize);
+
+        return translate;
+    };
+
+    /**
+     * Finishes a change of the window: keeps its position small and hides repeated slides from assistive technology.
+     */
+    const completeWindowChange = () => {
 
-        // Build the map from original index to slide ID
-        slideIdMap = items.map(item => item.dataset.slideId);
+        if (wrap) {
 
-        // Determine the number of clones needed for a seamless experience.
-        // If the source list is very short, we need to duplicate it to create a large enough buffer.
-        const duplicationFactor = Math.ceil(CLONE_COUNT / sourceItemCount);
+            windowStart = wrapIndex(windowStart, sourceItemCount);
+        }
 
-        if (duplicationFactor > 1) {
+        windowElements.forEach((element, position) => {
+            // Only a looping list repeats its slides.
+            if (!wrap || isExposedPosition(position, WINDOW_RADIUS, sourceItemCount)) {
 
-            const originalItems = [...items];
+                element.removeAttribute('aria-hidden');
 
-            for (let i = 1; i < duplicationFactor; i++) {
+            } else {
 
-                originalItems.forEach(item => listElement.appendChild(item.cloneNode(true)));
+                element.setAttribute('aria-hidden', 'true');
             }
+        });
+
+        emit('windowChange', { index: API.getCurrentIndex() });
+    };
+
+    /**
+     * Re-renders the whole window centred on a position, and shows that position.
+     */
+    const renderWindowAround = (position) => {
+
+        cancelAnimation();
+        windowStart = getWindowStartFor(position);
+        windowElements.forEach((element, offset) => renderElement(element, windowStart + offset));
+        currentTranslate = -(position - windowStart) * itemSize;
+        applyTranslate(currentTranslate);
+        completeWindowChange();
+    };
+
+    /**
+     * Moves the elements that scrolled out of the window to its other end, so the slide in view is
+     * in the centre again. The list is moved back by the same distance, so nothing moves visually.
+     * @returns {number} The number of positions the window moved.
+     */
+    const recenterWindow = () => {
+
+        const shift = getWindowStartFor(getCurrentPosition()) - windowStart;
+
+        if (shift === 0 || sourceItemCount === 0) return 0;
 
-            items = Array.from(listElement.children);
+        if (Math.abs(shift) >= windowLength) {
+
+            windowStart += shift;
+            windowElements.forEach((element, offset) => renderElement(element, windowStart + offset));
+
+        } else if (shift > 0) {
+
+            for (let i = 0; i < shift; i++) {
+
+                const element = windowElements.shift();
+                windowElements.push(element);
+                listElement.appendChild(element);
+                renderElement(element, windowStart + windowLength + i);
+            }
+
+            windowStart += shift;
+
+        } else {
+
+            for (let i = 0; i < -shift; i++) {
+
+                const element = windowElements.pop();
+                windowElements.unshift(element);
+                listElement.insertBefore(element, listElement.firstChild);
+                renderElement(element, windowStart - 1 - i);
+            }
+
+            windowStart += shift;
         }
-        workingItemCount = items.length; // This is now the "working set" of items.
-        instanceCloneCount = CLONE_COUNT; // We always use the configured clone count.
 
-        // Prepend clones from the end of the list
-        for (let i = 0; i < instanceCloneCount; i++) {
+        listElement.style.transition = 'none';
+        currentTranslate += shift * itemSize;
+        applyTranslate(currentTranslate);
+        completeWindowChange();
 
-            const itemIndex = (workingItemCount - instanceCloneCount + i) % workingItemCount;
-            listElement.insertBefore(items[itemIndex].cloneNode(true), listElement.firstChild);
+        return shift;
+    };
+
+    const setupWindow = () => {
+
+        if (items) {
+
+            sourceItems = items;
+            slideIdMap = items.map(item => item.id);
+
+        } else {
+            // Without items, the list's children are the templates of the slides.
+            sourceItems = Array.from(listElement.children);
+            slideIdMap = sourceItems.map(item => item.dataset.slideId);
         }
-        // Append clones from the start of the list
-        for (let i = 0; i < instanceCloneCount; i++) {
 
-            listElement.appendChild(items[i % workingItemCount].cloneNode(true));
+        sourceItemCount = sourceItems.length;
+        listElement.innerHTML = '';
+        windowElements = [];
+
+        if (sourceItemCount === 0) return;
+
+        // A bounded list shorter than the window does not repeat its slides to fill it.
+        windowLength = wrap ? WINDOW_SIZE : Math.min(WINDOW_SIZE, sourceItemCount);
+
+        for (let i = 0; i < windowLength; i++) {
+
+            const element = document.createElement('li');
+            listElement.appendChild(element);
+            windowElements.push(element);
         }
 
-        currentTranslate = -itemSize * instanceCloneCount;
-        listElement.style.transform = IS_HORIZONTAL ? `translateX(${currentTranslate}px)` : `translateY(${currentTranslate}px)`;
+        // The first slide starts in the centre of the window, or at the start of a bounded one.
+        windowStart = getWindowStartFor(0);
+        windowElements.forEach((element, offset) => renderElement(element, windowStart + offset));
     };
 
+    const measureItemSize = () => {
+
+        const element = windowElements[0];
+
+        if (IS_HORIZONTAL) {
+
+            return slideWidth || (element ? element.offsetWidth : 0);
+        }
+
+        return slideHeight || (element ? element.offsetHeight : 0);
+    };
+
+    // A resize is announced once the list is at rest, so listeners can snap it without cutting a move short.
+    const emitPendingResize = () => {
+
+        if (!isResizePending || isDragging || pendingTransitionEnd) return;
+
+        isResizePending = false;
+        emit('resize', { index: API.getCurrentIndex(), itemSize });
+    };
+
+    /**
+     * Keeps the list aligned when the size of its slides changes, e.g. when a phone is rotated.
+     */
+    const handleResize = () => {
+
+        const size = measureItemSize();
+
+        // A list on a hidden screen measures 0; it is measured again when it is shown.
+        if (size === 0 || size === itemSize) return;
+
+        const scale = size / itemSize;
+
+        itemSize = size;
+        isResizePending = true;
+
+        if (animationTargetPosition !== null) {
+            // Changing the transform retargets the running animation; its end recycles the window as usual.
+            applyTranslate(-animationTargetPosition * itemSize);
+
+        } else if (isDragging) {
+            // Keep the slide under the pointer; the drag ends with a snap at the new size.
+            startTranslate *= scale;
+            currentTranslate *= scale;
+            applyTranslate(currentTranslate);
+
+        } else {
+
+            listElement.style.transition = 'none';
+            currentTranslate = -getWindowPosition(currentTranslate * scale) * itemSize;
+            applyTranslate(currentTranslate);
+            emitPendingResize();
+        }
+    };
+
+    /**
+     * Shows a position on the endless strip of repeated items.
+     * Positions outside the window are jumped to without animation.
+     */
+    const snapToPosition = (position, immediate, options) => {
+
+        // A snap ends a drag that is still in progress, like a wheel gesture that settled.
+        isDragging = false;
+
+        const windowPosition = (wrap ? position : Math.min(Math.max(position, 0), sourceItemCount - 1)) - windowStart;
+        const isInWindow = windowPosition >= 0 && windowPosition < windowLength;
+
+        const completeSnap = () => {
+
+            if (options.onComplete) options.onComplete();
+
+            const finalIndex = API.getCurrentIndex();
+            const finalSlideId = slideIdMap[finalIndex];
+
+            emit('snapComplete', { index: finalIndex, slideId: finalSlideId, source: options.source || 'programmatic' });
+        };
+
+        if (immediate || !isInWindow) {
+            // Kill any ongoing animation and jump directly, leaving the window centred for the next interaction.
+            if (isInWindow) {
+
+                cancelAnimation();
+                currentTranslate = -windowPosition * itemSize;
+                applyTranslate(currentTranslate);
+                recenterWindow();
+
+            } else {
+
+                renderWindowAround(windowStart + windowPosition);
+            }
+
+            completeSnap();
+            emitPendingResize();
+
+        } else {
+            // The 'transitionend' handler in animateListTo recycles the window.
+            animateListTo(windowPosition, completeSnap);
+        }
+    };
+
+    // The position, on the endless strip, of the slide in view.
+    const getCurrentPosition = () => windowStart + getWindowPosition();
+
     // --- Public API ---
 
     const API = {
@@ -172,7 +516,8 @@ export function createSwiper(options) {
          */
         startDrag(position) {
 
-            listElement.style.transition = 'none';
+            cancelAnimation();
+            isDragging = true;
 
             const style = window.getComputedStyle(listElement);
             const matrix = new DOMMatrix(style.transform);
@@ -180,6 +525,7 @@ export function createSwiper(options) {
 
             startPos = position;
             startTranslate = currentTranslate;
+            dragStartIndex = API.getCurrentIndex();
 
             lastMoveTime = performance.now();
             lastMovePos = startPos;
@@ -204,9 +550,14 @@ export function createSwiper(options) {
             lastMoveTime = now;
             lastMovePos = position;
 
-            currentTranslate = startTranslate + delta;
-            const transform = IS_HORIZONTAL ? `translateX(${currentTranslate}px)` : `translateY(${currentTranslate}px)`;
-            listElement.style.transform = transform;
+            currentTranslate = resistEdges(startTranslate + delta);
+            applyTranslate(currentTranslate);
+
+            // Recycle the window before the drag reaches its end; the drag continues from the moved list.
+            if (Math.abs(getWindowPosition() - WINDOW_RADIUS) > WINDOW_RADIUS / 2) {
+
+                startTranslate += recenterWindow() * itemSize;
+            }
 
             emit('drag');
         },
@@ -217,13 +568,16 @@ export function createSwiper(options) {
          */
         endDrag(onComplete = null) {
 
+            isDragging = false;
+
             emit('dragEnd', {
                 velocity: velocity,
                 currentTranslate: currentTranslate
             });
 
             const projected = currentTranslate + velocity * itemSize * THROW_MULTIPLIER; // prettier-ignore
-            const targetTranslate = Math.round(projected / itemSize) * itemSize;
+            // A throw cannot go past the slides in the window.
+            const targetPosition = Math.min(Math.max(getWindowPosition(projected), 0), windowLength - 1);
 
             const animationCompletionHandler = () => {
 
@@ -238,7 +592,22 @@ export function createSwiper(options) {
 
                 if (onComplete) onComplete();
             };
-            animateListTo(targetTranslate, animationCompletionHandler);
+            animateListTo(targetPosition, animationCompletionHandler);
+        },
+
+        /**
+         * Cancels the drag and snaps back to the slide that was in view when it started.
+         * @param {function} [onComplete=null] - A callback to execute when the snap animation finishes.
+         */
+        cancelDrag(onComplete = null) {
+
+            emit('dragEnd', {
+                velocity: 0,
+                currentTranslate: currentTranslate
+            });
+
+            // Snapping ends the drag; the source tells listeners a drag ended.
+            snapToPosition(getPositionOf(dragStartIndex), false, { onComplete, source: 'drag' });
         },
 
         /**
@@ -251,43 +620,8 @@ export function createSwiper(options) {
          */
         snapTo(index, immediate = false, options = {}) {
             // This is the authoritative function to move the slider.
-            // It calculates the correct position within the 'safe' area of clones.
-            const targetTranslate = -(index + instanceCloneCount) * itemSize;
-            
-            if (immediate) {
-                // For an immediate snap, kill any ongoing animation, jump directly,
-                // and then ensure the wrap-around state is clean for the next interaction.
-                listElement.style.transition = 'none';
-                listElement.style.transform = IS_HORIZONTAL ? `translateX(${targetTranslate}px)` : `translateY(${targetTranslate}px)`;
-                currentTranslate = targetTranslate;
-
-                if (options.onComplete) {
-
-                    options.onComplete(); // Call local onComplete first
-                }
-                // Then emit the global event
-                const finalIndex = API.getCurrentIndex();
-                const finalSlideId = slideIdMap[finalIndex];
-                emit('snapComplete', { index: finalIndex, slideId: finalSlideId, source: options.source || 'programmatic' });
-
-            } else {
-                // For an animated snap, we use the standard animation function.
-                // The 'transitionend' handler in animateListTo will handle the wrap-around check.
-                const animationCompletionHandler = () => {
-
-                    if (options.onComplete) options.onComplete();
-
-                    const finalIndex = API.getCurrentIndex();
-                    const finalSlideId = slideIdMap[finalIndex];
-
-                    emit('snapComplete', { index: finalIndex, slideId: finalSlideId, source: options.source || 'programmatic' });
-                };
-
-                animateListTo(
-                    targetTranslate,
-                    animationCompletionHandler
-                );
-            }
+            // It moves to the repetition of the slide closest to the one in view.
+            snapToPosition(getPositionOf(index), immediate, options);
         },
 
         /**
@@ -295,9 +629,7 @@ export function createSwiper(options) {
          */
         next() {
 
-            const currentIndex = API.getCurrentIndex();
-            const nextIndex = (currentIndex + 1) % sourceItemCount;
-            API.snapTo(nextIndex, false, { source: 'navigation' });
+            snapToPosition(getCurrentPosition() + 1, false, { source: 'navigation' });
         },
 
         /**
@@ -305,9 +637,7 @@ export function createSwiper(options) {
          */
         prev() {
 
-            const currentIndex = API.getCurrentIndex();
-            const prevIndex = (currentIndex - 1 + sourceItemCount) % sourceItemCount;
-            API.snapTo(prevIndex, false, { source: 'navigation' });
+            snapToPosition(getCurrentPosition() - 1, false, { source: 'navigation' });
         },
 
         /**
@@ -315,26 +645,52 @@ export function createSwiper(options) {
          */
         init() {
 
+            // The window's elements are measured, so they are created first.
+            setupWindow();
+
             if (IS_HORIZONTAL) {
 
-                itemSize = slideWidth || (listElement.firstElementChild ? listElement.firstElementChild.offsetWidth : 0);
                 listElement.style.display = 'flex';
-
-            } else {
-
-                itemSize = slideHeight || (listElement.firstElementChild ? listElement.firstElementChild.offsetHeight : 0);
             }
 
+            itemSize = measureItemSize();
+
             if (itemSize === 0) {
 
                 console.error(
-                    'Swiper Error: item size could not be determined. Please provide slideWidth/slideHeight options or ensure the list has children when initializing.', { listSelector }
+                    'Swiper Error: item size could not be determined. Please provide slideWidth/slideHeight options or ensure the list has items when initializing.', { listSelector }
                 );
                 // Prevent further execution if size is invalid
                 return;
             }
 
-            setupInfiniteList();
+            currentTranslate = windowStart * itemSize;
+            applyTranslate(currentTranslate);
+            completeWindowChange();
+
+            // A size given in the options is fixed; otherwise the slides are measured again when they change size.
+            const isSizeFixed = IS_HORIZONTAL ? !!slideWidth : !!slideHeight;
+
+            if (!isSizeFixed && typeof ResizeObserver !== 'undefined') {
+
+                resizeObserver = new ResizeObserver(handleResize);
+                // Window elements are moved around but never replaced, so observing one of them is enough.
+                resizeObserver.observe(windowElements[0]);
+            }
+        },
+
+        /**
+         * Stops observing the size of the slides. Call this before the list is removed.
+         */
+        destroy() {
+
+            cancelAnimation();
+
+            if (resizeObserver) {
+
+                resizeObserver.disconnect();
+                resizeObserver = null;
+            }
         },
 
         /**
@@ -343,12 +699,7 @@ export function createSwiper(options) {
          */
         getCurrentIndex() {
 
-            const rawIndex = Math.round(-currentTranslate / itemSize);
-            // The raw index includes the prepended clones. We subtract the clone count
-            // and then use the modulo operator to wrap the index into the range of original items.
-            const wrappedIndex = (rawIndex - instanceCloneCount) % sourceItemCount;
-
-            return (wrappedIndex < 0) ? wrappedIndex + sourceItemCount : wrappedIndex;
+            return wrapIndex(getCurrentPosition(), sourceItemCount);
         },
 
         /**
@@ -360,10 +711,8 @@ export function createSwiper(options) {
             const style = window.getComputedStyle(listElement);
             const matrix = new DOMMatrix(style.transform);
             const liveTranslate = IS_HORIZONTAL ? matrix.m41 : matrix.m42;
-            const currentIndex = Math.round(-liveTranslate / itemSize);
-            const wrappedIndex = (currentIndex - instanceCloneCount) % workingItemCount;
 
-            return (wrappedIndex < 0) ? wrappedIndex + workingItemCount : wrappedIndex;
+            return wrapIndex(windowStart + getWindowPosition(liveTranslate), sourceItemCount);
         },
 
         /**
@@ -416,7 +765,7 @@ export function createSwiper(options) {
 
         /**
          * Registers a listener for a swiper event.
-         * @param {'snapComplete' | 'drag' | 'dragEnd'} eventName - The name of the event to listen for.
+         * @param {'snapComplete' | 'drag' | 'dragEnd' | 'windowChange' | 'resize'} eventName - The name of the event to listen for.
          * @param {function} callback - The function to call when the event is emitted.
          */
         on(eventName, callback) {
@@ -431,7 +780,7 @@ export function createSwiper(options) {
 
         /**
          * Unregisters a listener for a swiper event.
-         * @param {'snapComplete' | 'drag' | 'dragEnd'} eventName - The name of the event.
+         * @param {'snapComplete' | 'drag' | 'dragEnd' | 'windowChange' | 'resize'} eventName - The name of the event.
          * @param {function} callback - The specific callback function to remove.
          */
         off(eventName, callback) {
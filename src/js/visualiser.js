@@ -5,10 +5,11 @@
  * @param {object} options - Visualization options.
  * @param {boolean} options.showNames - Whether to display slide names.
  * @param {function} options.onSlotClick - Callback for when a slot is clicked.
+ * @param {function} [options.getSlotStatus] - Gets a slot's puzzle state: 'locked', 'unlocked' or 'solved'.
  * @returns {SVGElement|null} The SVG element or null if not possible.
  */
 export function createLayoutVisualizer(layout, slideGroups, options = { showNames: false, onSlotClick: null }) {
-    const { showNames, onSlotClick, playerState } = options;
+    const { showNames, onSlotClick, playerState, getSlotStatus } = options;
 
     const SVG_NS = "http://www.w3.org/2000/svg";
 
@@ -118,6 +119,13 @@ export function createLayoutVisualizer(layout, slideGroups, options = { showName
                 highlightRect.classList.add('is-active-puzzle-slot');
             }
 
+            const slotStatus = getSlotStatus ? getSlotStatus(slot) : null;
+
+            if (slotStatus) {
+
+                highlightRect.classList.add(`is-${slotStatus}`);
+            }
+
             if (onSlotClick) {
 
                 highlightRect.classList.add('clickable');
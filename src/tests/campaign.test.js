@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCampaignGameStates, isCampaignGameUnlocked, getNextCampaignGame, completeCampaignGame, summarizeCampaign } from '../js/campaign.js';
+
+const campaign = {
+    id: 'c1',
+    title: 'Campaign',
+    games: [
+        { title: 'A', file: 'games/a.json' },
+        { title: 'B', file: 'games/b.json' },
+        { title: 'C', file: 'games/c.json' }
+    ]
+};
+
+describe('campaigns', () => {
+
+    it('opens only the first game of a new campaign', () => {
+
+        assert.deepEqual(getCampaignGameStates(campaign, []).map(({ state }) => state), ['unlocked', 'locked', 'locked']);
+    });
+
+    it('unlocks the game after the completed ones', () => {
+
+        assert.deepEqual(getCampaignGameStates(campaign, ['games/a.json']).map(({ state }) => state), ['completed', 'unlocked', 'locked']);
+        assert.equal(isCampaignGameUnlocked(campaign, ['games/a.json'], 'games/b.json'), true);
+        assert.equal(isCampaignGameUnlocked(campaign, ['games/a.json'], 'games/c.json'), false);
+        assert.equal(isCampaignGameUnlocked(campaign, ['games/a.json'], 'games/elsewhere.json'), false);
+    });
+
+    it('finds the next game', () => {
+
+        assert.equal(getNextCampaignGame(campaign, 'games/a.json').file, 'games/b.json');
+        assert.equal(getNextCampaignGame(campaign, 'games/c.json'), null);
+        assert.equal(getNextCampaignGame(campaign, 'games/elsewhere.json'), null);
+    });
+
+    it('records each completed game once', () => {
+
+        const completedGames = completeCampaignGame(completeCampaignGame([], 'games/a.json'), 'games/a.json');
+
+        assert.deepEqual(completedGames, ['games/a.json']);
+    });
+
+    it('summarizes the progress, ignoring games of other campaigns', () => {
+
+        assert.deepEqual(summarizeCampaign(campaign, ['games/a.json', 'games/elsewhere.json']), { completed: 1, total: 3, isComplete: false });
+        assert.equal(summarizeCampaign(campaign, campaign.games.map(game => game.file)).isComplete, true);
+    });
+});
@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectSlideCredits, formatCredit, hasCredit, isLinkableSource } from '../js/credits.js';
+
+const credit = { author: 'Orren Jack Turner', license: 'Public domain', source: 'https://commons.wikimedia.org/wiki/File:Albert_Einstein_1947.jpg' };
+
+describe('collectSlideCredits', () => {
+
+    it('lists the slides with media, once each, in the order of the groups', () => {
+
+        const slideGroups = [
+            { group_id: 'g1', slides: [{ id: 'a', name: 'Einstein', img: 'a.jpg', credit }, { id: 'b', name: 'Note', content: { type: 'text', text: 'Hi' } }] },
+            { group_id: 'g2', slides: [{ id: 'c', name: 'Clip', content: { type: 'audio', src: 'c.mp3' } }, { id: 'a', name: 'Einstein', img: 'a.jpg', credit }] }
+        ];
+
+        assert.deepEqual(collectSlideCredits(slideGroups), [
+            { slideId: 'a', name: 'Einstein', media: 'a.jpg', credit },
+            { slideId: 'c', name: 'Clip', media: 'c.mp3', credit: null }
+        ]);
+    });
+
+    it('keeps credits of slides without media and drops empty credits', () => {
+
+        const slideGroups = [{ group_id: 'g1', slides: [{ id: 'a', name: 'Quote', content: { type: 'text', text: '...' }, credit: { author: 'Ada' } }, { id: 'b', name: 'B', img: 'b.jpg', credit: { author: '' } }] }];
+
+        assert.deepEqual(collectSlideCredits(slideGroups).map(entry => entry.credit), [{ author: 'Ada' }, null]);
+    });
+
+    it('returns nothing without slide groups', () => {
+
+        assert.deepEqual(collectSlideCredits(undefined), []);
+    });
+});
+
+describe('formatCredit', () => {
+
+    it('joins the author and the license', () => {
+
+        assert.equal(formatCredit(credit), 'Orren Jack Turner, Public domain');
+        assert.equal(formatCredit({ license: 'CC0' }), 'CC0');
+        assert.equal(formatCredit(null), '');
+    });
+});
+
+describe('hasCredit', () => {
+
+    it('needs at least one field', () => {
+
+        assert.equal(hasCredit({ source: 'https://example.org' }), true);
+        assert.equal(hasCredit({}), false);
+        assert.equal(hasCredit(undefined), false);
+    });
+});
+
+describe('isLinkableSource', () => {
+
+    it('accepts only web addresses', () => {
+
+        assert.equal(isLinkableSource('https://example.org/a.jpg'), true);
+        assert.equal(isLinkableSource('javascript:alert(1)'), false);
+        assert.equal(isLinkableSource(undefined), false);
+    });
+});
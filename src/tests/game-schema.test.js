@@ -0,0 +1,203 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateGameData } from '../js/game-schema.js';
+
+const makeGame = () => ({
+    gametitle: 'Test',
+    slide_groups: [
+        { group_id: 'host', slides: [{ id: 'h0', name: 'H0' }, { id: 'h1', name: 'H1' }] },
+        { group_id: 'guest', slides: [{ id: 'g0', name: 'G0' }, { id: 'g1', name: 'G1' }] }
+    ],
+    puzzles: [{ puzzle_id: 'p1', type: 'set', evaluation: 'unordered', matches: [{ match: ['h0', 'g0'] }] }],
+    layout: {
+        puzzle_slots: [{ activates_puzzle_id: 'p1', host_group_id: 'host', guest_group_id: 'guest', at_index: 1, guest_align_index: 0 }]
+    }
+});
+
+const errorPaths = (gameData) => validateGameData(gameData).errors.map(e => e.path);
+
+describe('validateGameData', () => {
+
+    it('accepts a valid game', () => {
+
+        assert.deepEqual(validateGameData(makeGame()), { valid: true, errors: [] });
+    });
+
+    it('reports missing top-level properties', () => {
+
+        const gameData = makeGame();
+        delete gameData.layout;
+
+        assert.deepEqual(errorPaths(gameData), ['$.layout']);
+    });
+
+    it('reports values of the wrong type', () => {
+
+        const gameData = makeGame();
+        gameData.puzzles = {};
+
+        assert.deepEqual(errorPaths(gameData), ['$.puzzles']);
+    });
+
+    it('reports slides without an id', () => {
+
+        const gameData = makeGame();
+        delete gameData.slide_groups[1].slides[1].id;
+
+        assert.deepEqual(errorPaths(gameData), ['$.slide_groups[1].slides[1].id']);
+    });
+
+    it('reports unknown slide content types and content without its field', () => {
+
+        const gameData = makeGame();
+        gameData.slide_groups[0].slides[0].content = { type: 'hologram' };
+        gameData.slide_groups[0].slides[1].content = { type: 'image', caption: 'A caption' };
+        gameData.slide_groups[1].slides[0].content = { type: 'math', tex: 'E = mc^2' };
+
+        assert.deepEqual(errorPaths(gameData), ['$.slide_groups[0].slides[0].content.type']);
+
+        gameData.slide_groups[0].slides[0].content = { type: 'markdown' };
+
+        assert.deepEqual(errorPaths(gameData), ['$.slide_groups[0].slides[0].content.text']);
+    });
+
+    it('reports slide credits with a source that is not a web address', () => {
+
+        const gameData = makeGame();
+        gameData.slide_groups[0].slides[0].credit = { author: 'Ada', license: 'CC0', source: 'https://example.org/h0.jpg' };
+        gameData.slide_groups[0].slides[1].credit = { source: 'javascript:alert(1)' };
+        gameData.slide_groups[1].slides[0].credit = { author: 7 };
+
+        assert.deepEqual(errorPaths(gameData), ['$.slide_groups[1].slides[0].credit.author']);
+
+        delete gameData.slide_groups[1].slides[0].credit;
+
+        assert.deepEqual(errorPaths(gameData), ['$.slide_groups[0].slides[1].credit.source']);
+    });
+
+    it('reports puzzles that name unknown slide groups', () => {
+
+        const gameData = makeGame();
+        gameData.puzzles[0].host_group_id = 'host';
+        gameData.puzzles[0].guest_group_id = 'missing';
+
+        assert.deepEqual(errorPaths(gameData), ['$.puzzles[0].guest_group_id']);
+
+        // Groups the editor has not picked yet are left empty.
+        gameData.puzzles[0].guest_group_id = '';
+
+        assert.deepEqual(errorPaths(gameData), []);
+    });
+
+    it('reports unknown puzzle types and evaluations', () => {
+
+        const gameData = makeGame();
+        gameData.puzzles[0].type = 'tree-ish';
+        gameData.puzzles[0].evaluation = 'random';
+
+        assert.deepEqual(errorPaths(gameData), ['$.puzzles[0].type', '$.puzzles[0].evaluation']);
+    });
+
+    it('reports matches that are not pairs', () => {
+
+        const gameData = makeGame();
+        gameData.puzzles[0].matches.push({ match: ['h1'] });
+
+        assert.deepEqual(errorPaths(gameData), ['$.puzzles[0].matches[1].match']);
+    });
+
+    it('reports matches referring to unknown slides', () => {
+
+        const gameData = makeGame();
+        gameData.puzzles[0].matches.push({ match: ['h1', 'nope'] });
+
+        assert.deepEqual(errorPaths(gameData), ['$.puzzles[0].matches[1].match[1]']);
+    });
+
+    it('reports a tree root that is not a slide', () => {
+
+        const gameData = makeGame();
+        Object.assign(gameData.puzzles[0], { type: 'tree', root: 'nope' });
+
+        assert.deepEqual(errorPaths(gameData), ['$.puzzles[0].root']);
+    });
+
+    it('checks the matches of alternative solution sets', () => {
+
+        const gameData = makeGame();
+        gameData.puzzles[0].alternatives = [{ matches: [{ match: ['h1', 'g1'] }] }, { matches: [{ match: ['h1', 'nope'] }] }];
+
+        assert.deepEqual(errorPaths(gameData), ['$.puzzles[0].alternatives[1].matches[0].match[1]']);
+
+        gameData.puzzles[0].alternatives.push({});
+
+        assert.deepEqual(errorPaths(gameData), ['$.puzzles[0].alternatives[2].matches']);
+    });
+
+    it('reports requirements on unknown puzzles', () => {
+
+        const gameData = makeGame();
+        gameData.puzzles[0].requires = ['p2'];
+
+        assert.deepEqual(errorPaths(gameData), ['$.puzzles[0].requires[0]']);
+    });
+
+    it('reports puzzles that require themselves through a cycle', () => {
+
+        const gameData = makeGame();
+        gameData.puzzles.push({ puzzle_id: 'p2', matches: [{ match: ['h1', 'g1'] }], requires: ['p1'] });
+        gameData.puzzles.push({ puzzle_id: 'p3', matches: [{ match: ['h1', 'g0'] }], requires: ['p1'] });
+        gameData.puzzles[0].requires = ['p2'];
+
+        assert.deepEqual(errorPaths(gameData), ['$.puzzles[0].requires', '$.puzzles[1].requires']);
+    });
+
+    it('reports slots activating unknown puzzles', () => {
+
+        const gameData = makeGame();
+        gameData.layout.puzzle_slots[0].activates_puzzle_id = 'p2';
+
+        assert.deepEqual(errorPaths(gameData), ['$.layout.puzzle_slots[0].activates_puzzle_id']);
+    });
+
+    it('reports slots referring to unknown groups', () => {
+
+        const gameData = makeGame();
+        gameData.layout.puzzle_slots[0].guest_group_id = 'elsewhere';
+
+        assert.deepEqual(errorPaths(gameData), ['$.layout.puzzle_slots[0].guest_group_id']);
+    });
+
+    it('reports out-of-range slot indices', () => {
+
+        const gameData = makeGame();
+        gameData.layout.puzzle_slots[0].at_index = 2;
+        gameData.layout.puzzle_slots[0].guest_align_index = 5;
+
+        assert.deepEqual(errorPaths(gameData), ['$.layout.puzzle_slots[0].at_index', '$.layout.puzzle_slots[0].guest_align_index']);
+    });
+
+    it('reports negative and fractional slot indices', () => {
+
+        const gameData = makeGame();
+        gameData.layout.puzzle_slots[0].at_index = -1;
+        gameData.layout.puzzle_slots[0].guest_align_index = 0.5;
+
+        assert.deepEqual(errorPaths(gameData), ['$.layout.puzzle_slots[0].at_index', '$.layout.puzzle_slots[0].guest_align_index']);
+    });
+
+    it('reports duplicate ids', () => {
+
+        const gameData = makeGame();
+        gameData.puzzles.push({ ...gameData.puzzles[0] });
+        gameData.slide_groups[0].slides.push({ id: 'h0', name: 'Again' });
+
+        assert.deepEqual(errorPaths(gameData), ['$.slide_groups[0].slides[2].id', '$.puzzles[1].puzzle_id']);
+    });
+
+    it('rejects data that is not an object', () => {
+
+        assert.equal(validateGameData(null).valid, false);
+        assert.equal(validateGameData([]).valid, false);
+    });
+});
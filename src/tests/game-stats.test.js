@@ -0,0 +1,131 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    SCORING,
+    createGameStats,
+    recordToggle,
+    recordWrongSubmission,
+    calculatePuzzleScore,
+    summarizeGameStats,
+    isNewPersonalBest,
+    formatDuration,
+    createStatsTimer
+} from '../js/game-stats.js';
+
+const puzzle = { id: 'p1', solutions: [['a1', 'b1'], ['a2', 'b2']] };
+
+const makeGame = () => ({
+    puzzleData: [puzzle, { id: 'p2', solutions: [['a3', 'b3']] }],
+    gameState: {
+        solvedPuzzles: new Set(['p1']),
+        hintsUsed: [{ puzzleId: 'p1', kind: 'reveal-match' }],
+        stats: createGameStats()
+    }
+});
+
+describe('calculatePuzzleScore', () => {
+
+    const puzzleStats = { timeMs: 0, toggles: 2, wrongSubmissions: 0 };
+
+    it('scores nothing for an unsolved puzzle', () => {
+
+        assert.equal(calculatePuzzleScore(puzzle, puzzleStats, 0, false), 0);
+    });
+
+    it('gives full points for a perfect solve', () => {
+
+        assert.equal(calculatePuzzleScore(puzzle, puzzleStats, 0, true), SCORING.solvedPuzzle);
+    });
+
+    it('deducts points for extra toggles, wrong submissions, hints and time', () => {
+
+        const score = calculatePuzzleScore(puzzle, { timeMs: 25000, toggles: 5, wrongSubmissions: 1 }, 1, true);
+        const expected = SCORING.solvedPuzzle -
+            3 * SCORING.perExtraToggle -
+            SCORING.perWrongSubmission -
+            SCORING.perHint -
+            2 * SCORING.perTenSeconds;
+
+        assert.equal(score, expected);
+    });
+
+    it('never scores a solved puzzle below the minimum', () => {
+
+        assert.equal(calculatePuzzleScore(puzzle, { timeMs: 0, toggles: 2, wrongSubmissions: 50 }, 0, true), SCORING.minimumPerPuzzle);
+    });
+});
+
+describe('summarizeGameStats', () => {
+
+    it('adds up the stats of every puzzle', () => {
+
+        const game = makeGame();
+
+        recordToggle(game.gameState.stats, 'p1');
+        recordToggle(game.gameState.stats, 'p1');
+        recordToggle(game.gameState.stats, 'p2');
+        recordWrongSubmission(game.gameState.stats, 'p2');
+
+        assert.deepEqual(summarizeGameStats(game), {
+            timeMs: 0,
+            toggles: 3,
+            wrongSubmissions: 1,
+            hintsUsed: 1,
+            score: SCORING.solvedPuzzle - SCORING.perHint,
+            solvedPuzzles: 1
+        });
+    });
+});
+
+describe('isNewPersonalBest', () => {
+
+    it('treats the first result as the best', () => {
+
+        assert.equal(isNewPersonalBest({ score: 10, timeMs: 1000 }, null), true);
+    });
+
+    it('prefers a higher score, then a shorter time', () => {
+
+        const best = { score: 500, timeMs: 60000 };
+
+        assert.equal(isNewPersonalBest({ score: 600, timeMs: 90000 }, best), true);
+        assert.equal(isNewPersonalBest({ score: 500, timeMs: 30000 }, best), true);
+        assert.equal(isNewPersonalBest({ score: 500, timeMs: 60000 }, best), false);
+        assert.equal(isNewPersonalBest({ score: 400, timeMs: 1000 }, best), false);
+    });
+});
+
+describe('formatDuration', () => {
+
+    it('formats minutes and seconds', () => {
+
+        assert.equal(formatDuration(0), '0:00');
+        assert.equal(formatDuration(187000), '3:07');
+    });
+
+    it('adds hours when needed', () => {
+
+        assert.equal(formatDuration(3723000), '1:02:03');
+    });
+});
+
+describe('createStatsTimer', () => {
+
+    it('adds elapsed time to the game and the tracked puzzle', () => {
+
+        let time = 0;
+        const timer = createStatsTimer(() => time);
+        const stats = createGameStats();
+
+        timer.track(stats, 'p1');
+        time = 3000;
+        timer.track(stats, null);
+        time = 5000;
+        timer.stop();
+        time = 9000;
+        timer.flush();
+
+        assert.equal(stats.timeMs, 5000);
+        assert.equal(stats.puzzles.p1.timeMs, 3000);
+    });
+});
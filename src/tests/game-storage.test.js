@@ -0,0 +1,143 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { serializeGameProgress, deserializeGameProgress, createGameStorage } from '../js/game-storage.js';
+
+const makeGame = () => ({
+    playerState: { currentSliderId: 'host', currentIndex: 2 },
+    gameState: {
+        playerMatchesByPuzzle: new Map([['p1', new Map([['a2', 'b2'], ['a1', 'b1']])]]),
+        solvedPuzzles: new Set(['p0']),
+        hintsUsed: [{ puzzleId: 'p1', kind: 'reveal-match' }]
+    }
+});
+
+/**
+ * A minimal in-memory Web Storage.
+ */
+const createMemoryStorage = () => {
+
+    const items = new Map();
+
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+};
+
+describe('game progress serialization', () => {
+
+    it('round-trips matches in the order they were made', () => {
+
+        const restored = deserializeGameProgress(JSON.parse(JSON.stringify(serializeGameProgress(makeGame()))));
+
+        assert.deepEqual(Array.from(restored.gameState.playerMatchesByPuzzle.get('p1').entries()), [['a2', 'b2'], ['a1', 'b1']]);
+        assert.deepEqual(restored.gameState.solvedPuzzles, new Set(['p0']));
+        assert.deepEqual(restored.playerState, { currentSliderId: 'host', currentIndex: 2 });
+    });
+
+    it('round-trips the hints used', () => {
+
+        const restored = deserializeGameProgress(serializeGameProgress(makeGame()));
+
+        assert.deepEqual(restored.gameState.hintsUsed, [{ puzzleId: 'p1', kind: 'reveal-match' }]);
+    });
+
+    it('defaults the stats for progress saved without them', () => {
+
+        const progress = serializeGameProgress(makeGame());
+        delete progress.gameState.stats;
+
+        assert.deepEqual(deserializeGameProgress(progress).gameState.stats, { timeMs: 0, puzzles: {} });
+    });
+
+    it('defaults the hints used for progress saved without them', () => {
+
+        const progress = serializeGameProgress(makeGame());
+        delete progress.gameState.hintsUsed;
+
+        assert.deepEqual(deserializeGameProgress(progress).gameState.hintsUsed, []);
+    });
+
+    it('rejects snapshots of another version', () => {
+
+        assert.equal(deserializeGameProgress({ ...serializeGameProgress(makeGame()), version: 0 }), null);
+    });
+});
+
+describe('createGameStorage', () => {
+
+    it('keeps progress in memory when localStorage cannot be read', (t) => {
+
+        t.mock.method(console, 'error', () => {});
+        globalThis.window = {
+            get localStorage() {
+                throw new Error('SecurityError: access is denied');
+            }
+        };
+        t.after(() => delete globalThis.window);
+
+        const gameStorage = createGameStorage();
+
+        gameStorage.saveProgress('games/a.json', makeGame());
+
+        assert.equal(gameStorage.loadProgress('games/a.json').playerState.currentIndex, 2);
+        assert.equal(console.error.mock.callCount(), 1);
+    });
+
+    it('keeps personal bests when progress is cleared', () => {
+
+        const gameStorage = createGameStorage(createMemoryStorage());
+
+        gameStorage.saveProgress('games/a.json', makeGame());
+        gameStorage.savePersonalBest('games/a.json', { score: 900, timeMs: 1000 });
+        gameStorage.clearProgress('games/a.json');
+
+        assert.equal(gameStorage.loadPersonalBest('games/a.json').score, 900);
+        assert.equal(gameStorage.loadPersonalBest('games/b.json'), null);
+    });
+
+    it('saves, loads and clears progress per game file', () => {
+
+        const gameStorage = createGameStorage(createMemoryStorage());
+
+        gameStorage.saveProgress('games/a.json', makeGame());
+
+        assert.equal(gameStorage.hasProgress('games/a.json'), true);
+        assert.equal(gameStorage.hasProgress('games/b.json'), false);
+        assert.equal(gameStorage.loadProgress('games/a.json').playerState.currentIndex, 2);
+
+        gameStorage.clearProgress('games/a.json');
+
+        assert.equal(gameStorage.loadProgress('games/a.json'), null);
+    });
+
+    it('keeps the progress of a game in a campaign apart from the game on its own', () => {
+
+        const gameStorage = createGameStorage(createMemoryStorage());
+
+        gameStorage.saveProgress('games/a.json', makeGame());
+        gameStorage.saveProgress('games/a.json', makeGame(), 'c1');
+
+        gameStorage.clearProgress('games/a.json', 'c1');
+
+        assert.equal(gameStorage.hasProgress('games/a.json', 'c1'), false);
+        assert.equal(gameStorage.hasProgress('games/a.json'), true);
+    });
+
+    it('saves, loads and clears campaign progress per campaign', () => {
+
+        const gameStorage = createGameStorage(createMemoryStorage());
+
+        assert.deepEqual(gameStorage.loadCampaignProgress('c1'), []);
+
+        gameStorage.saveCampaignProgress('c1', ['games/a.json']);
+
+        assert.deepEqual(gameStorage.loadCampaignProgress('c1'), ['games/a.json']);
+        assert.deepEqual(gameStorage.loadCampaignProgress('c2'), []);
+
+        gameStorage.clearCampaignProgress('c1');
+
+        assert.deepEqual(gameStorage.loadCampaignProgress('c1'), []);
+    });
+});
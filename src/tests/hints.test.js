@@ -0,0 +1,151 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { findWrongMatches, findMissingMatch, findNextOrderedMatch, getHint, getHintsRemaining, useHint } from '../js/hints.js';
+
+const setPuzzle = {
+    id: 'p1',
+    type: 'set',
+    evaluation: 'unordered',
+    solutions: [['a1', 'b1'], ['a2', 'b2'], ['a3', 'b3']]
+};
+
+const orderedPuzzle = { ...setPuzzle, evaluation: 'ordered' };
+
+const makeGame = (hintBudget, playerMatches = new Map()) => ({
+    hintBudget,
+    gameState: {
+        playerMatchesByPuzzle: new Map([['p1', playerMatches]]),
+        solvedPuzzles: new Set(),
+        hintsUsed: []
+    }
+});
+
+describe('findWrongMatches', () => {
+
+    it('finds matches that are not in the solution', () => {
+
+        const playerMatches = new Map([['a1', 'b1'], ['a2', 'b3']]);
+
+        assert.deepEqual(findWrongMatches(setPuzzle, playerMatches), [['a2', 'b3']]);
+    });
+
+    it('accepts matches made in the opposite direction', () => {
+
+        assert.deepEqual(findWrongMatches(setPuzzle, new Map([['b1', 'a1']])), []);
+    });
+
+    it('treats matches made out of turn as wrong in ordered puzzles', () => {
+
+        const playerMatches = new Map([['a1', 'b1'], ['a3', 'b3'], ['a2', 'b2']]);
+
+        assert.deepEqual(findWrongMatches(orderedPuzzle, playerMatches), [['a3', 'b3'], ['a2', 'b2']]);
+    });
+
+    it('finds nothing wrong in a solved puzzle', () => {
+
+        assert.deepEqual(findWrongMatches(setPuzzle, new Map(setPuzzle.solutions)), []);
+    });
+});
+
+describe('findMissingMatch', () => {
+
+    it('reveals the first solution pair that is not matched yet', () => {
+
+        assert.deepEqual(findMissingMatch(setPuzzle, new Map([['a1', 'b1']])), ['a2', 'b2']);
+    });
+
+    it('reveals nothing in a solved puzzle', () => {
+
+        assert.equal(findMissingMatch(setPuzzle, new Map(setPuzzle.solutions)), null);
+    });
+
+    it('reveals a pair of the alternative solution set the player is working towards', () => {
+
+        const alternative = [['a1', 'b2'], ['a2', 'b1'], ['a3', 'b3']];
+        const puzzle = { ...setPuzzle, solutionSets: [setPuzzle.solutions, alternative] };
+
+        assert.deepEqual(findMissingMatch(puzzle, new Map([['a1', 'b2']])), ['a2', 'b1']);
+    });
+});
+
+describe('findNextOrderedMatch', () => {
+
+    it('reveals the match after the correct start of the player matches', () => {
+
+        const playerMatches = new Map([['a1', 'b1'], ['a3', 'b3']]);
+
+        assert.deepEqual(findNextOrderedMatch(orderedPuzzle, playerMatches), ['a2', 'b2']);
+    });
+
+    it('reveals the first match when there are none yet', () => {
+
+        assert.deepEqual(findNextOrderedMatch(orderedPuzzle, new Map()), ['a1', 'b1']);
+    });
+
+    it('continues a ring from the slide the player started at', () => {
+
+        const ringPuzzle = { id: 'p3', type: 'ring', evaluation: 'ordered-any-start', solutions: [['r1', 'r2'], ['r2', 'r3'], ['r3', 'r1']] };
+
+        assert.deepEqual(findNextOrderedMatch(ringPuzzle, new Map([['r2', 'r3']])), ['r3', 'r1']);
+    });
+
+    it('reveals the next match of an ordered tree breadth-first', () => {
+
+        const treePuzzle = { id: 'p2', type: 'tree', evaluation: 'ordered', solutions: [['r', 'a'], ['a', 'c'], ['r', 'b']] };
+
+        assert.deepEqual(findNextOrderedMatch(treePuzzle, new Map([['a', 'r']])), ['r', 'b']);
+    });
+
+    it('does not apply to unordered puzzles', () => {
+
+        assert.equal(findNextOrderedMatch(setPuzzle, new Map()), null);
+    });
+});
+
+describe('getHint', () => {
+
+    it('does not offer a check without matches', () => {
+
+        assert.equal(getHint('wrong-matches', setPuzzle, new Map()), null);
+    });
+
+    it('returns the hint pairs', () => {
+
+        assert.deepEqual(getHint('reveal-match', setPuzzle, new Map()), { kind: 'reveal-match', pairs: [['a1', 'b1']] });
+    });
+
+    it('ignores unknown kinds', () => {
+
+        assert.equal(getHint('solve-it', setPuzzle, new Map()), null);
+    });
+});
+
+describe('useHint', () => {
+
+    it('records used hints in the game state', () => {
+
+        const game = makeGame(2);
+
+        useHint(game, setPuzzle, 'reveal-match');
+
+        assert.deepEqual(game.gameState.hintsUsed, [{ puzzleId: 'p1', kind: 'reveal-match' }]);
+        assert.equal(getHintsRemaining(game), 1);
+    });
+
+    it('stops when the budget is spent', () => {
+
+        const game = makeGame(1);
+
+        assert.notEqual(useHint(game, setPuzzle, 'reveal-match'), null);
+        assert.equal(useHint(game, setPuzzle, 'reveal-match'), null);
+        assert.equal(game.gameState.hintsUsed.length, 1);
+    });
+
+    it('does not spend a hint that does not apply', () => {
+
+        const game = makeGame(1);
+
+        assert.equal(useHint(game, setPuzzle, 'next-match'), null);
+        assert.equal(getHintsRemaining(game), 1);
+    });
+});
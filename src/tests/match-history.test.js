@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMatchHistory } from '../js/match-history.js';
+
+/**
+ * Applies a change to a match Map and records it, like the game does.
+ */
+const change = (history, puzzleMatches, mutate) => {
+
+    const before = Array.from(puzzleMatches.entries());
+    mutate(puzzleMatches);
+    history.record('p1', before, Array.from(puzzleMatches.entries()));
+};
+
+describe('createMatchHistory', () => {
+
+    it('undoes and redoes changes in order', () => {
+
+        const history = createMatchHistory();
+        const puzzleMatches = new Map();
+
+        change(history, puzzleMatches, m => m.set('a1', 'b1'));
+        change(history, puzzleMatches, m => m.set('a2', 'b2'));
+
+        assert.equal(history.undo('p1', puzzleMatches), true);
+        assert.deepEqual(Array.from(puzzleMatches.entries()), [['a1', 'b1']]);
+
+        assert.equal(history.undo('p1', puzzleMatches), true);
+        assert.equal(puzzleMatches.size, 0);
+        assert.equal(history.canUndo('p1'), false);
+
+        assert.equal(history.redo('p1', puzzleMatches), true);
+        assert.equal(history.redo('p1', puzzleMatches), true);
+        assert.deepEqual(Array.from(puzzleMatches.entries()), [['a1', 'b1'], ['a2', 'b2']]);
+        assert.equal(history.canRedo('p1'), false);
+    });
+
+    it('restores the insertion order when a removal is undone', () => {
+
+        const history = createMatchHistory();
+        const puzzleMatches = new Map([['a1', 'b1'], ['a2', 'b2'], ['a3', 'b3']]);
+
+        change(history, puzzleMatches, m => m.delete('a1'));
+        history.undo('p1', puzzleMatches);
+
+        assert.deepEqual(Array.from(puzzleMatches.keys()), ['a1', 'a2', 'a3']);
+    });
+
+    it('discards the redo history when a new change is recorded', () => {
+
+        const history = createMatchHistory();
+        const puzzleMatches = new Map();
+
+        change(history, puzzleMatches, m => m.set('a1', 'b1'));
+        history.undo('p1', puzzleMatches);
+        change(history, puzzleMatches, m => m.set('a2', 'b2'));
+
+        assert.equal(history.canRedo('p1'), false);
+        assert.equal(history.redo('p1', puzzleMatches), false);
+    });
+
+    it('keeps the history of each puzzle apart', () => {
+
+        const history = createMatchHistory();
+
+        history.record('p1', [], [['a1', 'b1']]);
+
+        assert.equal(history.canUndo('p1'), true);
+        assert.equal(history.canUndo('p2'), false);
+        assert.equal(history.undo('p2', new Map()), false);
+    });
+
+    it('keeps at most the configured number of changes', () => {
+
+        const history = createMatchHistory({ limit: 2 });
+        const puzzleMatches = new Map();
+
+        change(history, puzzleMatches, m => m.set('a1', 'b1'));
+        change(history, puzzleMatches, m => m.set('a2', 'b2'));
+        change(history, puzzleMatches, m => m.set('a3', 'b3'));
+
+        history.undo('p1', puzzleMatches);
+        history.undo('p1', puzzleMatches);
+
+        assert.equal(history.canUndo('p1'), false);
+        assert.deepEqual(Array.from(puzzleMatches.entries()), [['a1', 'b1']]);
+    });
+
+    it('forgets everything when cleared', () => {
+
+        const history = createMatchHistory();
+
+        history.record('p1', [], [['a1', 'b1']]);
+        history.clear();
+
+        assert.equal(history.canUndo('p1'), false);
+    });
+});
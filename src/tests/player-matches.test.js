@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { allowsManyMatches, getMatchPairs, getGuestIds, countMatches, hasMatch, toggleMatch } from '../js/player-matches.js';
+
+describe('toggleMatch', () => {
+
+    it('replaces the guest of a host by default', () => {
+
+        const playerMatches = new Map();
+
+        assert.equal(toggleMatch(playerMatches, 'h1', 'g1'), true);
+        assert.equal(toggleMatch(playerMatches, 'h1', 'g2'), true);
+        assert.deepEqual(Array.from(playerMatches.entries()), [['h1', 'g2']]);
+
+        assert.equal(toggleMatch(playerMatches, 'h1', 'g2'), false);
+        assert.equal(playerMatches.size, 0);
+    });
+
+    it('lets a host keep several guests when many matches are allowed', () => {
+
+        const playerMatches = new Map();
+
+        toggleMatch(playerMatches, 'h1', 'g1', true);
+        toggleMatch(playerMatches, 'h2', 'g3', true);
+        toggleMatch(playerMatches, 'h1', 'g2', true);
+
+        assert.deepEqual(Array.from(playerMatches.entries()), [['h1', [{ id: 'g1', order: 1 }, { id: 'g2', order: 3 }]], ['h2', [{ id: 'g3', order: 2 }]]]);
+
+        assert.equal(toggleMatch(playerMatches, 'h1', 'g1', true), false);
+        assert.equal(toggleMatch(playerMatches, 'h2', 'g3', true), false);
+        assert.deepEqual(Array.from(playerMatches.entries()), [['h1', [{ id: 'g2', order: 3 }]]]);
+    });
+
+    it('lists the matches of a host with several guests in the order they were made', () => {
+
+        const playerMatches = new Map();
+
+        toggleMatch(playerMatches, 'h1', 'g1', true);
+        toggleMatch(playerMatches, 'h2', 'g3', true);
+        toggleMatch(playerMatches, 'h1', 'g2', true);
+
+        assert.deepEqual(getMatchPairs(playerMatches), [['h1', 'g1'], ['h2', 'g3'], ['h1', 'g2']]);
+        assert.deepEqual(getMatchPairs(new Map(JSON.parse(JSON.stringify(Array.from(playerMatches.entries()))))), getMatchPairs(playerMatches));
+    });
+
+    it('lists guests without an order first, host by host', () => {
+
+        const playerMatches = new Map([['h1', ['g1', 'g2']]]);
+
+        toggleMatch(playerMatches, 'h2', 'g3', true);
+        toggleMatch(playerMatches, 'h1', 'g4', true);
+
+        assert.deepEqual(getMatchPairs(playerMatches), [['h1', 'g1'], ['h1', 'g2'], ['h2', 'g3'], ['h1', 'g4']]);
+    });
+
+    it('replaces the guest list instead of changing it, so snapshots stay valid', () => {
+
+        const playerMatches = new Map([['h1', ['g1']]]);
+        const snapshot = Array.from(playerMatches.entries());
+
+        toggleMatch(playerMatches, 'h1', 'g2', true);
+
+        assert.deepEqual(snapshot, [['h1', ['g1']]]);
+    });
+});
+
+describe('match queries', () => {
+
+    const playerMatches = new Map([['h1', ['g1', 'g2']], ['h2', 'g3']]);
+
+    it('lists single and multiple matches as pairs', () => {
+
+        assert.deepEqual(getMatchPairs(playerMatches), [['h1', 'g1'], ['h1', 'g2'], ['h2', 'g3']]);
+        assert.equal(countMatches(playerMatches), 3);
+        assert.deepEqual(getMatchPairs(null), []);
+    });
+
+    it('gets the guests of a host', () => {
+
+        assert.deepEqual(getGuestIds(playerMatches, 'h1'), ['g1', 'g2']);
+        assert.deepEqual(getGuestIds(playerMatches, 'h2'), ['g3']);
+        assert.deepEqual(getGuestIds(playerMatches, 'g1'), []);
+    });
+
+    it('finds matches from either side', () => {
+
+        assert.equal(hasMatch(playerMatches, 'g2', 'h1'), true);
+        assert.equal(hasMatch(playerMatches, 'h2', 'g3'), true);
+        assert.equal(hasMatch(playerMatches, 'h2', 'g1'), false);
+    });
+
+    it('allows many matches only in group puzzles', () => {
+
+        assert.equal(allowsManyMatches({ type: 'group' }), true);
+        assert.equal(allowsManyMatches({ type: 'star' }), false);
+        assert.equal(allowsManyMatches(null), false);
+    });
+});
@@ -0,0 +1,341 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { processGameData, buildWorldMap, isPuzzleSolved, evaluatePuzzle, getMissingRequirements, getPuzzleStatus, leadsIntoLockedPuzzle } from '../js/puzzle-logic.js';
+
+const loadGame = (file) => JSON.parse(readFileSync(new URL(`../${file}`, import.meta.url), 'utf8'));
+
+/**
+ * Builds a minimal game with one horizontal host group and one vertical guest group.
+ */
+const makeGame = ({ hostSlides = 4, guestSlides = 4, atIndex = 0, guestAlignIndex = 0 } = {}) => ({
+    gametitle: 'Test',
+    slide_groups: [
+        { group_id: 'host', slides: Array.from({ length: hostSlides }, (_, i) => ({ id: `h${i}`, name: `H${i}`, img: '' })) },
+        { group_id: 'guest', slides: Array.from({ length: guestSlides }, (_, i) => ({ id: `g${i}`, name: `G${i}`, img: '' })) }
+    ],
+    puzzles: [{ puzzle_id: 'p1', matches: [{ match: ['h0', 'g0'] }] }],
+    layout: {
+        puzzle_slots: [{
+            activates_puzzle_id: 'p1',
+            host_group_id: 'host',
+            guest_group_id: 'guest',
+            at_index: atIndex,
+            guest_align_index: guestAlignIndex,
+            host_direction: 'horizontal',
+            guest_direction: 'vertical'
+        }]
+    }
+});
+
+const worldMapFor = (gameData) => {
+
+    const { layout, slideGroups } = processGameData(gameData);
+
+    return buildWorldMap(layout, slideGroups);
+};
+
+describe('processGameData', () => {
+
+    it('marks the sliders of groups that do not wrap', () => {
+
+        const gameData = makeGame();
+        gameData.slide_groups[1].wrap = false;
+        const { layout } = processGameData(gameData);
+
+        assert.deepEqual(layout.sliders.map(slider => [slider.id, slider.wrap]), [['host', true], ['guest', false]]);
+    });
+
+    it('processes every puzzle of the test game', () => {
+
+        const testData = loadGame('games/test_puzzles.json');
+        const { newPuzzleData } = processGameData(testData);
+
+        assert.equal(newPuzzleData.length, testData.puzzles.length);
+    });
+
+    it('populates slideData with names and images', () => {
+
+        const { slideData } = processGameData(makeGame());
+
+        assert.deepEqual(slideData.h1, { img: '', name: 'H1' });
+    });
+
+    it('collects the matches and their alternatives into solution sets', () => {
+
+        const gameData = makeGame();
+        gameData.puzzles[0].alternatives = [{ matches: [{ match: ['h1', 'g1'] }] }];
+
+        const { newPuzzleData } = processGameData(gameData);
+
+        assert.deepEqual(newPuzzleData[0].solutions, [['h0', 'g0']]);
+        assert.deepEqual(newPuzzleData[0].solutionSets, [[['h0', 'g0']], [['h1', 'g1']]]);
+    });
+
+    it('evaluates group puzzles without order', () => {
+
+        const gameData = makeGame();
+        Object.assign(gameData.puzzles[0], { type: 'group', evaluation: 'ordered' });
+
+        assert.equal(processGameData(gameData).newPuzzleData[0].evaluation, 'unordered');
+    });
+
+    it('defaults the puzzle type and evaluation', () => {
+
+        const { newPuzzleData } = processGameData(makeGame());
+
+        assert.equal(newPuzzleData[0].type, 'set');
+        assert.equal(newPuzzleData[0].evaluation, 'unordered');
+        assert.deepEqual(newPuzzleData[0].solutions, [['h0', 'g0']]);
+        assert.deepEqual(newPuzzleData[0].requires, []);
+    });
+
+    it('creates virtual sliders with default directions from the puzzle slots', () => {
+
+        const gameData = makeGame();
+        delete gameData.layout.puzzle_slots[0].host_direction;
+        delete gameData.layout.puzzle_slots[0].guest_direction;
+
+        const { layout } = processGameData(gameData);
+
+        assert.deepEqual(layout.sliders.map(s => [s.id, s.direction]), [['host', 'horizontal'], ['guest', 'vertical']]);
+    });
+
+    it('adds empty slide groups for groups that only exist in the layout', () => {
+
+        const gameData = makeGame();
+        gameData.slide_groups.pop();
+
+        const { slideGroups } = processGameData(gameData);
+
+        assert.deepEqual(slideGroups.find(g => g.group_id === 'guest').slides, []);
+    });
+});
+
+describe('buildWorldMap', () => {
+
+    it('creates a node for every slide of every slider', () => {
+
+        assert.equal(worldMapFor(makeGame({ hostSlides: 3, guestSlides: 5 })).size, 8);
+    });
+
+    it('wraps horizontal neighbours around the ends of a slider', () => {
+
+        const map = worldMapFor(makeGame({ atIndex: 1 }));
+
+        assert.deepEqual(map.get('host-0').left, { sliderId: 'host', index: 3 });
+        assert.deepEqual(map.get('host-3').right, { sliderId: 'host', index: 0 });
+    });
+
+    it('wraps vertical neighbours around the ends of a slider', () => {
+
+        const map = worldMapFor(makeGame());
+
+        assert.deepEqual(map.get('guest-0').up, { sliderId: 'guest', index: 3 });
+        assert.deepEqual(map.get('guest-3').down, { sliderId: 'guest', index: 0 });
+    });
+
+    it('has no neighbours past the ends of a slider that does not wrap', () => {
+
+        const gameData = makeGame({ atIndex: 1 });
+        gameData.slide_groups.forEach(group => { group.wrap = false; });
+        const map = worldMapFor(gameData);
+
+        assert.equal(map.get('host-0').left, null);
+        assert.deepEqual(map.get('host-0').right, { sliderId: 'host', index: 1 });
+        assert.equal(map.get('host-3').right, null);
+        assert.equal(map.get('guest-0').up, null);
+        assert.equal(map.get('guest-3').down, null);
+    });
+
+    it('stops the host slot at the ends of a guest slider that does not wrap', () => {
+
+        const gameData = makeGame({ atIndex: 2, guestAlignIndex: 0 });
+        gameData.slide_groups[1].wrap = false;
+        const hostNode = worldMapFor(gameData).get('host-2');
+
+        assert.equal(hostNode.up, null);
+        assert.deepEqual(hostNode.down, { sliderId: 'guest', index: 1 });
+    });
+
+    it('connects the host slot to the guest slider', () => {
+
+        const map = worldMapFor(makeGame({ atIndex: 2, guestAlignIndex: 1 }));
+        const hostNode = map.get('host-2');
+
+        assert.deepEqual(hostNode.guest, { sliderId: 'guest', index: 1 });
+        assert.deepEqual(hostNode.up, { sliderId: 'guest', index: 0 });
+        assert.deepEqual(hostNode.down, { sliderId: 'guest', index: 2 });
+        assert.equal(hostNode.puzzleId, 'p1');
+        assert.equal(map.get('host-1').puzzleId, null);
+    });
+
+    it('connects the aligned guest slide back to the host slot', () => {
+
+        const map = worldMapFor(makeGame({ atIndex: 2, guestAlignIndex: 1 }));
+        const guestNode = map.get('guest-1');
+
+        assert.equal(guestNode.isConnection, true);
+        assert.deepEqual(guestNode.left, { sliderId: 'host', index: 2 });
+        assert.deepEqual(guestNode.right, { sliderId: 'host', index: 2 });
+    });
+
+    it('wraps the guest neighbours of a host slot aligned to the first guest slide', () => {
+
+        const map = worldMapFor(makeGame({ guestSlides: 3 }));
+
+        assert.deepEqual(map.get('host-0').up, { sliderId: 'guest', index: 2 });
+    });
+
+    it('does not connect any guest slide when guest_align_index is beyond the slide count', () => {
+
+        const map = worldMapFor(makeGame({ guestSlides: 4, guestAlignIndex: 5 }));
+        const hostNode = map.get('host-0');
+
+        assert.equal(hostNode.guest.index, 5);
+        // The neighbours still wrap into the valid range.
+        assert.deepEqual(hostNode.up, { sliderId: 'guest', index: 0 });
+        assert.deepEqual(hostNode.down, { sliderId: 'guest', index: 2 });
+        assert.equal(Array.from(map.values()).some(node => node.isConnection), false);
+    });
+
+    it('ignores slots whose groups are not in the layout sliders', () => {
+
+        const map = buildWorldMap({ sliders: [], puzzle_slots: makeGame().layout.puzzle_slots }, []);
+
+        assert.equal(map.size, 0);
+    });
+});
+
+describe('isPuzzleSolved', () => {
+
+    it('solves group puzzles with hosts that have several guests', () => {
+
+        const puzzle = { type: 'group', evaluation: 'unordered', solutions: [['h1', 'g1'], ['h1', 'g2'], ['h2', 'g3']] };
+
+        assert.equal(isPuzzleSolved(puzzle, new Map([['h1', ['g2', 'g1']], ['h2', ['g3']]])), true);
+    });
+
+    it('solves tree puzzles from the root down', () => {
+
+        const puzzle = { type: 'tree', evaluation: 'ordered', root: 'r', solutions: [['r', 'a'], ['a', 'b']] };
+
+        assert.equal(isPuzzleSolved(puzzle, new Map([['r', ['a']], ['a', ['b']]])), true);
+        assert.equal(isPuzzleSolved(puzzle, new Map([['a', ['b']], ['r', ['a']]])), false);
+    });
+
+    it('only solves strict chains with the authored slides', () => {
+
+        const puzzle = { type: 'chain', evaluation: 'unordered', strict: true, solutions: [['a', 'b'], ['b', 'c']] };
+
+        assert.equal(isPuzzleSolved(puzzle, new Map([['c', 'b'], ['b', 'a']])), true);
+        assert.equal(isPuzzleSolved(puzzle, new Map([['a', 'c'], ['c', 'b']])), false);
+        assert.equal(isPuzzleSolved({ ...puzzle, strict: false }, new Map([['a', 'c'], ['c', 'b']])), true);
+    });
+
+    it('accepts any of the alternative solution sets', () => {
+
+        const puzzle = {
+            type: 'chain',
+            evaluation: 'ordered',
+            solutions: [['a', 'b'], ['b', 'c']],
+            solutionSets: [[['a', 'b'], ['b', 'c']], [['c', 'b'], ['b', 'a']]]
+        };
+
+        assert.equal(isPuzzleSolved(puzzle, new Map([['c', 'b'], ['b', 'a']])), true);
+        assert.equal(isPuzzleSolved(puzzle, new Map([['b', 'c'], ['a', 'b']])), false);
+    });
+
+    it('returns false without a puzzle or matches', () => {
+
+        assert.equal(isPuzzleSolved(null, new Map()), false);
+        assert.equal(isPuzzleSolved({ type: 'set', solutions: [] }, null), false);
+    });
+
+    it('treats puzzles without a type as sets', () => {
+
+        const puzzle = { evaluation: 'unordered', solutions: [['a', 'b'], ['c', 'd']] };
+
+        assert.equal(isPuzzleSolved(puzzle, new Map([['d', 'c'], ['a', 'b']])), true);
+    });
+
+    it('solves every puzzle of the test game with its own solutions', () => {
+
+        const { newPuzzleData } = processGameData(loadGame('games/test_puzzles.json'));
+
+        newPuzzleData.forEach(puzzle => {
+
+            const playerMatches = new Map(puzzle.solutions);
+
+            // Solutions that reuse a slide as the first of several pairs cannot be entered as
+            // player matches keyed by slide; the validator tests cover those topologies.
+            if (playerMatches.size < puzzle.solutions.length) return;
+
+            assert.equal(isPuzzleSolved(puzzle, playerMatches), true, puzzle.puzzletitle);
+        });
+    });
+});
+
+describe('evaluatePuzzle', () => {
+
+    it('counts every match of a solved chain as correct, even in another shape than authored', () => {
+
+        const puzzle = { type: 'chain', evaluation: 'unordered', solutions: [['n1', 'n2'], ['n2', 'n3']] };
+        const result = evaluatePuzzle(puzzle, new Map([['n3', 'n1'], ['n1', 'n2']]));
+
+        assert.equal(result.solved, true);
+        assert.equal(result.correct.length, 2);
+        assert.deepEqual(result.wrong, []);
+    });
+
+    it('compares an unsolved puzzle with its solutions', () => {
+
+        const puzzle = { type: 'set', evaluation: 'unordered', solutions: [['a', 'b'], ['c', 'd']] };
+        const result = evaluatePuzzle(puzzle, new Map([['a', 'd']]));
+
+        assert.equal(result.solved, false);
+        assert.deepEqual(result.wrong, [['a', 'd']]);
+        assert.equal(result.missing, 2);
+    });
+
+    it('compares an unsolved puzzle with the closest solution set', () => {
+
+        const alternative = [['a', 'd'], ['c', 'b']];
+        const puzzle = { type: 'set', evaluation: 'unordered', solutions: [['a', 'b'], ['c', 'd']], solutionSets: [[['a', 'b'], ['c', 'd']], alternative] };
+        const result = evaluatePuzzle(puzzle, new Map([['a', 'd']]));
+
+        assert.equal(result.solutions, alternative);
+        assert.deepEqual(result.correct, [['a', 'd']]);
+        assert.equal(result.missing, 1);
+    });
+});
+
+describe('puzzle requirements', () => {
+
+    const puzzle = { id: 'p3', requires: ['p1', 'p2'] };
+
+    it('lists the required puzzles that are not solved yet', () => {
+
+        assert.deepEqual(getMissingRequirements(puzzle, new Set(['p1'])), ['p2']);
+        assert.deepEqual(getMissingRequirements({ id: 'p1' }, new Set()), []);
+    });
+
+    it('locks a puzzle until all of its requirements are solved', () => {
+
+        assert.equal(getPuzzleStatus(puzzle, new Set(['p1'])), 'locked');
+        assert.equal(getPuzzleStatus(puzzle, new Set(['p1', 'p2'])), 'unlocked');
+        assert.equal(getPuzzleStatus(puzzle, new Set(['p1', 'p2', 'p3'])), 'solved');
+    });
+
+    it('blocks moves into the guest slider of a locked slot only', () => {
+
+        const map = worldMapFor(makeGame({ atIndex: 1 }));
+        const hostNode = map.get('host-1');
+        const isLocked = (puzzleId) => puzzleId === 'p1';
+
+        assert.equal(leadsIntoLockedPuzzle(hostNode, hostNode.up, isLocked), true);
+        assert.equal(leadsIntoLockedPuzzle(hostNode, hostNode.left, isLocked), false);
+        assert.equal(leadsIntoLockedPuzzle(hostNode, hostNode.up, () => false), false);
+        assert.equal(leadsIntoLockedPuzzle(map.get('host-0'), map.get('host-0').right, isLocked), false);
+    });
+});
@@ -0,0 +1,453 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSet, validateChain, validateRing, validateStar, validateGroup, getOrderedSequences, validateTree, analyzeTree, evaluateTreeMatches, evaluateMatches, lintPuzzle } from '../js/puzzle-validators.js';
+import { toggleMatch } from '../js/player-matches.js';
+
+const toMatches = (pairs) => new Map(pairs);
+
+const fixtures = {
+    set: {
+        validate: validateSet,
+        solutions: [['a1', 'b1'], ['a2', 'b2'], ['a3', 'b3']],
+        // The first two pairs are swapped.
+        wrong: [['a1', 'b2'], ['a2', 'b1'], ['a3', 'b3']],
+    },
+    chain: {
+        validate: validateChain,
+        solutions: [['n1', 'n2'], ['n2', 'n3'], ['n3', 'n4']],
+        // A star with three spokes has the right number of matches but is not a path.
+        wrong: [['n2', 'n1'], ['n3', 'n1'], ['n4', 'n1']],
+    },
+    ring: {
+        validate: validateRing,
+        solutions: [['r1', 'r2'], ['r2', 'r3'], ['r3', 'r4'], ['r4', 'r1']],
+        // An open path has the right number of matches but does not close.
+        wrong: [['r1', 'r2'], ['r2', 'r3'], ['r3', 'r4'], ['r4', 'r5']],
+    },
+    star: {
+        validate: validateStar,
+        solutions: [['hub', 's1'], ['hub', 's2'], ['hub', 's3']],
+        // Player matches are keyed by host slide, so a star is entered from the spokes.
+        wrong: [['s1', 'hub'], ['s2', 'hub'], ['s3', 's4']],
+    },
+};
+
+describe('puzzle validators', () => {
+
+    Object.entries(fixtures).forEach(([type, { validate, solutions, wrong }]) => {
+
+        // Star solutions share the hub key, so the player enters them keyed by spoke.
+        const playerPairs = type === 'star' ? solutions.map(([hub, spoke]) => [spoke, hub]) : solutions;
+
+        describe(`${type} (unordered)`, () => {
+
+            it('accepts the solution in any order', () => {
+
+                assert.equal(validate(solutions, toMatches([...playerPairs].reverse()), 'unordered'), true);
+            });
+
+            it('rejects an incomplete solution', () => {
+
+                assert.equal(validate(solutions, toMatches(playerPairs.slice(1)), 'unordered'), false);
+            });
+
+            it('rejects wrong matches', () => {
+
+                assert.equal(validate(solutions, toMatches(wrong), 'unordered'), false);
+            });
+
+            it('rejects an empty solution', () => {
+
+                assert.equal(validate(solutions, new Map(), 'unordered'), false);
+            });
+        });
+
+        describe(`${type} (ordered)`, () => {
+
+            const orderedSolutions = type === 'star' ? playerPairs : solutions;
+
+            it('accepts the solution in the authored order', () => {
+
+                assert.equal(validate(orderedSolutions, toMatches(orderedSolutions), 'ordered'), true);
+            });
+
+            it('rejects the solution in a different order', () => {
+
+                assert.equal(validate(orderedSolutions, toMatches([...orderedSolutions].reverse()), 'ordered'), false);
+            });
+
+            it('rejects an incomplete solution', () => {
+
+                assert.equal(validate(orderedSolutions, toMatches(orderedSolutions.slice(0, -1)), 'ordered'), false);
+            });
+        });
+    });
+
+    describe('set (unordered)', () => {
+
+        it('accepts matches entered in the opposite direction', () => {
+
+            const { solutions } = fixtures.set;
+            const flipped = solutions.map(([a, b]) => [b, a]);
+
+            assert.equal(validateSet(solutions, toMatches(flipped), 'unordered'), true);
+        });
+    });
+
+    describe('ring (unordered)', () => {
+
+        it('rejects rings of fewer than three matches', () => {
+
+            const solutions = [['r1', 'r2'], ['r2', 'r1']];
+
+            assert.equal(validateRing(solutions, toMatches([['r1', 'r2']]), 'unordered'), false);
+        });
+    });
+
+    describe('ordered with any start or either direction', () => {
+
+        const chain = [['n1', 'n2'], ['n2', 'n3'], ['n3', 'n4']];
+        const ring = [['r1', 'r2'], ['r2', 'r3'], ['r3', 'r4'], ['r4', 'r1']];
+
+        it('accepts a ring entered at another slide only with any start', () => {
+
+            const fromR3 = toMatches([['r3', 'r4'], ['r4', 'r1'], ['r1', 'r2'], ['r2', 'r3']]);
+
+            assert.equal(validateRing(ring, fromR3, 'ordered'), false);
+            assert.equal(validateRing(ring, fromR3, 'ordered-any-start'), true);
+            assert.equal(validateRing(ring, fromR3, 'ordered-either-direction'), false);
+        });
+
+        it('accepts a chain built from the other end only with either direction', () => {
+
+            const backwards = toMatches([['n4', 'n3'], ['n3', 'n2'], ['n2', 'n1']]);
+
+            assert.equal(validateChain(chain, backwards, 'ordered'), false);
+            assert.equal(validateChain(chain, backwards, 'ordered-either-direction'), true);
+            assert.equal(validateChain(chain, backwards, 'ordered-any-start'), false);
+        });
+
+        it('still rejects matches out of order', () => {
+
+            const shuffled = toMatches([['n2', 'n3'], ['n1', 'n2'], ['n3', 'n4']]);
+
+            assert.equal(validateChain(chain, shuffled, 'ordered-any-start'), false);
+            assert.equal(validateChain(chain, shuffled, 'ordered-either-direction'), false);
+        });
+
+        it('lists the accepted sequences, the authored one first', () => {
+
+            assert.deepEqual(getOrderedSequences(chain, 'ordered'), [chain]);
+            assert.equal(getOrderedSequences(ring, 'ordered-any-start').length, 4);
+            assert.deepEqual(getOrderedSequences(chain, 'ordered-either-direction')[1], [['n4', 'n3'], ['n3', 'n2'], ['n2', 'n1']]);
+        });
+    });
+
+    describe('strict chain and ring (unordered)', () => {
+
+        it('accepts the authored chain walked from the other end', () => {
+
+            const solutions = [['n1', 'n2'], ['n2', 'n3'], ['n3', 'n4']];
+
+            assert.equal(validateChain(solutions, toMatches([['n4', 'n3'], ['n2', 'n3'], ['n1', 'n2']]), 'unordered', { strict: true }), true);
+        });
+
+        it('rejects a chain of the right shape through other slides', () => {
+
+            const solutions = [['n1', 'n2'], ['n2', 'n3'], ['n3', 'n4']];
+            const otherChain = toMatches([['n1', 'n3'], ['n3', 'n2'], ['n2', 'n4']]);
+
+            assert.equal(validateChain(solutions, otherChain, 'unordered'), true);
+            assert.equal(validateChain(solutions, otherChain, 'unordered', { strict: true }), false);
+        });
+
+        it('accepts the authored ring from any start and rejects a reshuffled one', () => {
+
+            const solutions = [['r1', 'r2'], ['r2', 'r3'], ['r3', 'r4'], ['r4', 'r1']];
+            const rotated = toMatches([['r3', 'r4'], ['r4', 'r1'], ['r1', 'r2'], ['r2', 'r3']]);
+            const reshuffled = toMatches([['r1', 'r3'], ['r3', 'r2'], ['r2', 'r4'], ['r4', 'r1']]);
+
+            assert.equal(validateRing(solutions, rotated, 'unordered', { strict: true }), true);
+            assert.equal(validateRing(solutions, reshuffled, 'unordered'), true);
+            assert.equal(validateRing(solutions, reshuffled, 'unordered', { strict: true }), false);
+        });
+    });
+
+    describe('star (unordered)', () => {
+
+        it('rejects a puzzle definition without a hub', () => {
+
+            const solutions = [['a', 'b'], ['c', 'd']];
+
+            assert.equal(validateStar(solutions, toMatches(solutions), 'unordered'), false);
+        });
+    });
+});
+
+describe('validateGroup', () => {
+
+    const solutions = [['curie', 'polonium'], ['curie', 'radium'], ['euler', 'identity'], ['euler', 'polyhedra']];
+
+    it('accepts hubs that own all of their spokes', () => {
+
+        const playerMatches = new Map([['euler', ['polyhedra', 'identity']], ['curie', ['radium', 'polonium']]]);
+
+        assert.equal(validateGroup(solutions, playerMatches), true);
+    });
+
+    it('accepts groups entered from the spokes', () => {
+
+        const playerMatches = new Map([['polonium', 'curie'], ['radium', 'curie'], ['identity', 'euler'], ['polyhedra', 'euler']]);
+
+        assert.equal(validateGroup(solutions, playerMatches), true);
+    });
+
+    it('rejects a spoke given to the wrong hub, and incomplete groups', () => {
+
+        assert.equal(validateGroup(solutions, new Map([['euler', ['polyhedra', 'radium']], ['curie', ['identity', 'polonium']]])), false);
+        assert.equal(validateGroup(solutions, new Map([['euler', ['polyhedra', 'identity']], ['curie', ['radium']]])), false);
+    });
+
+    it('does not count a pair entered from both sides twice', () => {
+
+        const playerMatches = new Map([['curie', ['polonium', 'radium']], ['euler', ['identity']], ['identity', 'euler']]);
+
+        assert.equal(validateGroup(solutions, playerMatches), false);
+    });
+});
+
+describe('validateTree', () => {
+
+    // latin -> italian, french; french -> cajun; latin -> spanish
+    const solutions = [['latin', 'italian'], ['latin', 'french'], ['french', 'cajun'], ['latin', 'spanish']];
+
+    it('finds the root and the depth of every slide', () => {
+
+        const tree = analyzeTree(solutions);
+
+        assert.equal(tree.root, 'latin');
+        assert.equal(tree.depths.get('cajun'), 2);
+    });
+
+    it('does not read pairs with a slide that has two parents, or a given root that is a child, as a tree', () => {
+
+        assert.equal(analyzeTree([...solutions, ['italian', 'cajun']]), null);
+        assert.equal(analyzeTree(solutions, 'french'), null);
+    });
+
+    it('accepts the parent/child pairs in any order and direction', () => {
+
+        const playerMatches = new Map([['cajun', 'french'], ['latin', ['spanish', 'french', 'italian']]]);
+
+        assert.equal(validateTree(solutions, playerMatches, 'unordered'), true);
+    });
+
+    it('rejects a child attached to the wrong parent', () => {
+
+        const playerMatches = new Map([['latin', ['italian', 'french', 'spanish']], ['italian', ['cajun']]]);
+
+        assert.equal(validateTree(solutions, playerMatches, 'unordered'), false);
+    });
+
+    it('requires ordered trees to be built breadth-first', () => {
+
+        const breadthFirst = new Map([['italian', 'latin'], ['french', 'latin'], ['spanish', 'latin'], ['cajun', 'french']]);
+        const depthFirst = new Map([['french', 'latin'], ['cajun', 'french'], ['italian', 'latin'], ['spanish', 'latin']]);
+
+        assert.equal(validateTree(solutions, breadthFirst, 'ordered'), true);
+        assert.equal(validateTree(solutions, depthFirst, 'ordered'), false);
+    });
+
+    it('checks the breadth-first order in the order matches were made when a parent is the host', () => {
+
+        const tree = [['r', 'a'], ['r', 'b'], ['a', 'c']];
+        const play = (pairs) => {
+
+            const playerMatches = new Map();
+            pairs.forEach(([host, guest]) => toggleMatch(playerMatches, host, guest, true));
+
+            return playerMatches;
+        };
+        const depthFirst = play([['r', 'a'], ['a', 'c'], ['r', 'b']]);
+
+        assert.equal(validateTree(tree, play([['r', 'a'], ['r', 'b'], ['a', 'c']]), 'ordered', 'r'), true);
+        assert.equal(validateTree(tree, depthFirst, 'ordered', 'r'), false);
+        assert.equal(validateTree(tree, depthFirst, 'unordered', 'r'), true);
+        assert.deepEqual(evaluateTreeMatches(tree, depthFirst, 'ordered', 'r').wrong, [['r', 'b']]);
+    });
+
+    it('evaluates ordered trees up to the first match out of breadth-first order', () => {
+
+        const depthFirst = new Map([['french', 'latin'], ['cajun', 'french'], ['italian', 'latin']]);
+        const result = evaluateTreeMatches(solutions, depthFirst, 'ordered');
+
+        assert.equal(result.firstOutOfOrderIndex, 2);
+        assert.deepEqual(result.wrong, [['italian', 'latin']]);
+        assert.equal(result.missing, 2);
+    });
+});
+
+describe('evaluateMatches', () => {
+
+    const solutions = [['a1', 'b1'], ['a2', 'b2'], ['a3', 'b3']];
+
+    it('splits unordered matches into correct and wrong pairs in either direction', () => {
+
+        const result = evaluateMatches(solutions, toMatches([['b2', 'a2'], ['a1', 'b3']]), 'unordered');
+
+        assert.deepEqual(result, {
+            correct: [['b2', 'a2']],
+            wrong: [['a1', 'b3']],
+            missing: 2,
+            firstOutOfOrderIndex: null
+        });
+    });
+
+    it('counts ordered matches as correct only up to the first one out of order', () => {
+
+        const result = evaluateMatches(solutions, toMatches([['a1', 'b1'], ['a3', 'b3'], ['a2', 'b2']]), 'ordered');
+
+        assert.deepEqual(result.correct, [['a1', 'b1']]);
+        assert.deepEqual(result.wrong, [['a3', 'b3'], ['a2', 'b2']]);
+        assert.equal(result.missing, 2);
+        assert.equal(result.firstOutOfOrderIndex, 1);
+    });
+
+    it('compares tolerant ordered matches with the sequence they follow the longest', () => {
+
+        const result = evaluateMatches(solutions, toMatches([['a3', 'b3'], ['a1', 'b1'], ['a2', 'b1']]), 'ordered-any-start');
+
+        assert.deepEqual(result.correct, [['a3', 'b3'], ['a1', 'b1']]);
+        assert.equal(result.firstOutOfOrderIndex, 2);
+        assert.equal(result.missing, 1);
+    });
+
+    it('reports no out-of-order index for a correct start of an ordered solution', () => {
+
+        const result = evaluateMatches(solutions, toMatches([['a1', 'b1']]), 'ordered');
+
+        assert.equal(result.firstOutOfOrderIndex, null);
+        assert.equal(result.missing, 2);
+    });
+});
+
+describe('lintPuzzle', () => {
+
+    it('accepts sound puzzles of every type', () => {
+
+        Object.entries(fixtures).forEach(([type, { solutions }]) => {
+
+            assert.deepEqual(lintPuzzle({ type, solutions }), [], type);
+        });
+    });
+
+    it('reads raw puzzles with matches', () => {
+
+        const findings = lintPuzzle({ type: 'set', matches: [{ match: ['a', 'b'] }, { match: ['a', 'c'] }] });
+
+        assert.equal(findings.length, 1);
+        assert.equal(findings[0].severity, 'error');
+    });
+
+    it('checks alternative solution sets and says which one a finding is about', () => {
+
+        const findings = lintPuzzle({
+            type: 'set',
+            matches: [{ match: ['a', 'b'] }],
+            alternatives: [{ matches: [{ match: ['a', 'c'] }, { match: ['a', 'b'] }] }]
+        });
+
+        assert.equal(findings.length, 1);
+        assert.match(findings[0].message, /^Alternative 1: /);
+    });
+
+    it('flags group matches that cannot be split into hubs and spokes', () => {
+
+        assert.deepEqual(lintPuzzle({ type: 'group', solutions: [['a', 'x'], ['a', 'y'], ['b', 'y']] }), []);
+
+        const findings = lintPuzzle({ type: 'group', solutions: [['a', 'b'], ['b', 'c'], ['c', 'a']] });
+
+        assert.equal(findings.length, 1);
+        assert.match(findings[0].message, /hubs and spokes/);
+    });
+
+    it('warns that group puzzles ignore the ordered evaluation rule', () => {
+
+        const findings = lintPuzzle({ type: 'group', evaluation: 'ordered', solutions: [['a', 'x']] });
+
+        assert.deepEqual(findings.map(f => f.severity), ['warning']);
+    });
+
+    it('flags trees with two parents for a slide, or several roots', () => {
+
+        const twoParents = lintPuzzle({ type: 'tree', solutions: [['a', 'b'], ['c', 'b']] });
+
+        assert.ok(twoParents.some(f => /2 parents/.test(f.message)));
+        assert.match(lintPuzzle({ type: 'tree', solutions: [['a', 'b'], ['c', 'd']] })[0].message, /2 roots/);
+        assert.match(lintPuzzle({ type: 'tree', root: 'b', solutions: [['a', 'b']] })[0].message, /child of another slide/);
+        assert.deepEqual(lintPuzzle({ type: 'tree', root: 'a', solutions: [['a', 'b'], ['a', 'c'], ['b', 'd']] }), []);
+    });
+
+    it('warns about strict puzzles that are not chains or rings', () => {
+
+        assert.deepEqual(lintPuzzle({ type: 'set', strict: true, solutions: [['a', 'b']] }).map(f => f.severity), ['warning']);
+        assert.deepEqual(lintPuzzle({ type: 'ring', strict: true, solutions: fixtures.ring.solutions }), []);
+    });
+
+    it('warns about puzzles without matches', () => {
+
+        assert.deepEqual(lintPuzzle({ type: 'chain', matches: [] }).map(f => f.severity), ['warning']);
+    });
+
+    it('flags a chain that is closed into a loop', () => {
+
+        const findings = lintPuzzle({ type: 'chain', solutions: fixtures.ring.solutions });
+
+        assert.equal(findings.length, 1);
+        assert.match(findings[0].message, /closed loop/);
+    });
+
+    it('flags a chain with a branch', () => {
+
+        const findings = lintPuzzle({ type: 'chain', solutions: fixtures.star.solutions });
+
+        assert.ok(findings.some(f => /at most two neighbours/.test(f.message)));
+    });
+
+    it('flags a ring that is not closed', () => {
+
+        const findings = lintPuzzle({ type: 'ring', solutions: fixtures.chain.solutions });
+
+        assert.ok(findings.length > 0);
+    });
+
+    it('flags a ring of two matches', () => {
+
+        const findings = lintPuzzle({ type: 'ring', solutions: [['a', 'b'], ['b', 'c']] });
+
+        assert.ok(findings.some(f => /at least 3 matches/.test(f.message)));
+    });
+
+    it('flags a star without a single hub', () => {
+
+        const findings = lintPuzzle({ type: 'star', solutions: fixtures.chain.solutions });
+
+        assert.ok(findings.some(f => /exactly one hub/.test(f.message)));
+    });
+
+    it('flags duplicate and self matches', () => {
+
+        const findings = lintPuzzle({ type: 'set', solutions: [['a', 'a'], ['b', 'c'], ['c', 'b']] });
+
+        assert.ok(findings.some(f => /to itself/.test(f.message)));
+        assert.ok(findings.some(f => /duplicate/.test(f.message)));
+    });
+
+    it('uses slide names in messages', () => {
+
+        const names = { a: 'Alpha', b: 'Beta', c: 'Gamma' };
+        const findings = lintPuzzle({ type: 'set', solutions: [['a', 'b'], ['a', 'c']] }, { slideName: id => names[id] });
+
+        assert.match(findings[0].message, /"Alpha"/);
+    });
+});
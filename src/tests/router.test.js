@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRoute, formatRoute } from '../js/router.js';
+
+describe('parseRoute', () => {
+
+    it('reads the start screen from an empty hash', () => {
+
+        assert.deepEqual(parseRoute(''), { screen: 'start', game: null, slot: null, campaign: null });
+        assert.deepEqual(parseRoute('#'), { screen: 'start', game: null, slot: null, campaign: null });
+    });
+
+    it('reads a game and a slot', () => {
+
+        assert.deepEqual(parseRoute('#game=games/test_puzzles.json&slot=s1'), { screen: 'game', game: 'games/test_puzzles.json', slot: 's1', campaign: null });
+    });
+
+    it('reads escaped game files', () => {
+
+        assert.equal(parseRoute('#game=games%2Fa%2C%20b.json').game, 'games/a, b.json');
+    });
+
+    it('reads the info and settings screens', () => {
+
+        assert.equal(parseRoute('#game=games/a.json&screen=info').screen, 'info');
+        assert.equal(parseRoute('#screen=settings').screen, 'settings');
+    });
+
+    it('ignores unknown screens, and slots and campaigns without a game', () => {
+
+        assert.equal(parseRoute('#game=games/a.json&screen=nowhere').screen, 'game');
+        assert.deepEqual(parseRoute('#slot=s1&campaign=c1'), { screen: 'start', game: null, slot: null, campaign: null });
+    });
+});
+
+describe('formatRoute', () => {
+
+    it('writes the start screen as an empty hash', () => {
+
+        assert.equal(formatRoute({ screen: 'start' }), '');
+    });
+
+    it('writes a game with its campaign and slot', () => {
+
+        assert.equal(formatRoute({ screen: 'game', game: 'games/a.json', campaign: 'c1', slot: 's1' }), '#game=games/a.json&campaign=c1&slot=s1');
+    });
+
+    it('writes the info screen of a game', () => {
+
+        assert.equal(formatRoute({ screen: 'info', game: 'games/a.json' }), '#game=games/a.json&screen=info');
+    });
+
+    it('writes the credits screen of a game', () => {
+
+        assert.equal(formatRoute({ screen: 'credits', game: 'games/a.json' }), '#game=games/a.json&screen=credits');
+        assert.equal(parseRoute('#game=games/a.json&screen=credits').screen, 'credits');
+    });
+
+    it('round-trips game files with special characters', () => {
+
+        const route = { screen: 'game', game: 'games/test_puzzles_-_test_oob_indices,_smallest_set.json', slot: 'a&b', campaign: null };
+
+        assert.deepEqual(parseRoute(formatRoute(route)), route);
+    });
+});
@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSlideContent, escapeHtml, renderMarkdown } from '../js/slide-renderer.js';
+
+describe('getSlideContent', () => {
+
+    it('treats a slide without content as an image', () => {
+
+        assert.deepEqual(getSlideContent({ id: 's1', img: 'a.jpg' }), { type: 'image' });
+    });
+
+    it('returns the typed content of a slide', () => {
+
+        const content = { type: 'math', tex: 'E = mc^2' };
+
+        assert.equal(getSlideContent({ id: 's1', content }), content);
+    });
+});
+
+describe('escapeHtml', () => {
+
+    it('escapes the characters that start markup', () => {
+
+        assert.equal(escapeHtml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    });
+});
+
+describe('renderMarkdown', () => {
+
+    it('renders headings, paragraphs and line breaks', () => {
+
+        assert.equal(renderMarkdown('## Title\n\nfirst line\nsecond line'), '<h2>Title</h2><p>first line<br>second line</p>');
+    });
+
+    it('renders lists', () => {
+
+        assert.equal(renderMarkdown('- one\n* two'), '<ul><li>one</li><li>two</li></ul>');
+    });
+
+    it('renders bold, italic and code', () => {
+
+        assert.equal(renderMarkdown('**bold** *italic* _also_ `a_b_c`'), '<p><strong>bold</strong> <em>italic</em> <em>also</em> <code>a_b_c</code></p>');
+    });
+
+    it('escapes HTML in the text', () => {
+
+        assert.equal(renderMarkdown('<script>alert(1)</script>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    });
+
+    it('renders nothing for empty text', () => {
+
+        assert.equal(renderMarkdown(''), '');
+        assert.equal(renderMarkdown(undefined), '');
+    });
+});
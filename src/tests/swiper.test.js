@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { wrapIndex, nearestPosition, isExposedPosition, rubberBand, clampPosition } from '../js/swiper.js';
+
+describe('wrapIndex', () => {
+
+    it('wraps positions on both sides of the strip into the items', () => {
+
+        assert.equal(wrapIndex(0, 5), 0);
+        assert.equal(wrapIndex(7, 5), 2);
+        assert.equal(wrapIndex(-1, 5), 4);
+        assert.equal(wrapIndex(-11, 5), 4);
+    });
+});
+
+describe('nearestPosition', () => {
+
+    it('finds the repetition of an item closest to a position', () => {
+
+        assert.equal(nearestPosition(1, 0, 5), 1);
+        assert.equal(nearestPosition(4, 0, 5), -1);
+        assert.equal(nearestPosition(0, 13, 5), 15);
+        assert.equal(nearestPosition(3, 3, 5), 3);
+    });
+
+    it('goes forward when both ways are as far', () => {
+
+        assert.equal(nearestPosition(2, 0, 4), 2);
+        assert.equal(nearestPosition(1, 0, 2), 1);
+    });
+});
+
+describe('isExposedPosition', () => {
+
+    it('exposes each item once around the centre', () => {
+
+        const exposed = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10].filter(position => isExposedPosition(position, 5, 4));
+
+        assert.deepEqual(exposed, [3, 4, 5, 6]);
+    });
+
+    it('exposes the whole window when the items do not repeat in it', () => {
+
+        const exposed = [0, 1, 2].filter(position => isExposedPosition(position, 1, 100));
+
+        assert.deepEqual(exposed, [0, 1, 2]);
+    });
+});
+
+describe('rubberBand', () => {
+
+    it('stretches less the further the list is pulled', () => {
+
+        const first = rubberBand(100, 960);
+        const second = rubberBand(200, 960) - first;
+
+        assert.ok(first > 0 && first < 100);
+        assert.ok(second < first);
+    });
+
+    it('never stretches a whole slide', () => {
+
+        assert.equal(rubberBand(0, 960), 0);
+        assert.ok(rubberBand(100000, 960) < 960);
+    });
+});
+
+describe('clampPosition', () => {
+
+    it('keeps a bounded list stretched past its ends on its first and last slide', () => {
+
+        const itemSize = 300;
+        // Pulled about two slides past the first slide, the stretch is more than half a slide.
+        const stretch = rubberBand(2 * itemSize, itemSize);
+        const position = Math.round(-stretch / itemSize);
+
+        assert.ok(stretch > itemSize / 2);
+        assert.equal(position, -1);
+        assert.equal(wrapIndex(clampPosition(position, 5, false), 5), 0);
+        assert.equal(wrapIndex(clampPosition(5, 5, false), 5), 4);
+    });
+
+    it('leaves the positions of a looping list alone', () => {
+
+        assert.equal(clampPosition(-1, 5, true), -1);
+        assert.equal(clampPosition(7, 5, true), 7);
+    });
+});
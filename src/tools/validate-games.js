@@ -0,0 +1,93 @@
+/**
+ * Validates every game listed in games/games.json and games/campaigns.json (or the game files given as arguments)
+ * against the game schema and lints each puzzle against its declared type.
+ *
+ * Usage, from the src directory:
+ *   node tools/validate-games.js [games/some_game.json ...]
+ *
+ * Exits with status 1 if any game has errors. Warnings are reported but do not fail the run.
+ */
+import { readFileSync } from 'node:fs';
+import { validateGameData } from '../js/game-schema.js';
+import { lintPuzzle } from '../js/puzzle-validators.js';
+
+// Game file paths in games.json are relative to the src directory.
+const srcDir = new URL('../', import.meta.url);
+
+const readJson = (file) => JSON.parse(readFileSync(new URL(file, srcDir), 'utf8'));
+
+/**
+ * Validates a single game file.
+ * @param {string} file - The game file, relative to the src directory.
+ * @returns {{errors: Array<string>, warnings: Array<string>}} Readable error and warning lines.
+ */
+const checkGame = (file) => {
+
+    let gameData;
+
+    try {
+
+        gameData = readJson(file);
+
+    } catch (error) {
+
+        return { errors: [`Could not read game file: ${error.message}`], warnings: [] };
+    }
+
+    const validation = validateGameData(gameData);
+    const errors = validation.errors.map(error => `${error.path} ${error.message}`);
+    const warnings = [];
+
+    // Linting needs structurally valid puzzles.
+    if (validation.valid) {
+
+        const slideNames = new Map(gameData.slide_groups.flatMap(g => g.slides.map(slide => [slide.id, slide.name])));
+
+        gameData.puzzles.forEach((puzzle, p) => {
+
+            lintPuzzle(puzzle, { slideName: id => slideNames.get(id) || id }).forEach(finding => {
+
+                const line = `$.puzzles[${p}] (${puzzle.puzzletitle || puzzle.puzzle_id}) ${finding.message}`;
+                (finding.severity === 'error' ? errors : warnings).push(line);
+            });
+        });
+    }
+
+    return { errors, warnings };
+};
+
+/**
+ * Lists the game files of the campaigns, which may include games that are not in games.json.
+ */
+const campaignFiles = () => {
+
+    try {
+
+        return readJson('games/campaigns.json').flatMap(campaign => campaign.games.map(game => game.file));
+
+    } catch (error) {
+        // Campaigns are optional.
+        return [];
+    }
+};
+
+const files = process.argv.length > 2
+    ? process.argv.slice(2)
+    : Array.from(new Set([...readJson('games/games.json').map(game => game.file), ...campaignFiles()]));
+
+let failedCount = 0;
+
+files.forEach(file => {
+
+    const { errors, warnings } = checkGame(file);
+
+    console.log(`${errors.length === 0 ? 'ok  ' : 'FAIL'} ${file}`);
+    errors.forEach(line => console.log(`       error: ${line}`));
+    warnings.forEach(line => console.log(`     warning: ${line}`));
+
+    if (errors.length > 0) failedCount++;
+});
+
+console.log(`\n${files.length - failedCount} of ${files.length} game(s) valid.`);
+
+process.exitCode = failedCount > 0 ? 1 : 0;